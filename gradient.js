@@ -597,25 +597,23 @@ class Gradient {
    */
   static paletteMagma (target = new Gradient()) {
 
-    // TODO: Update to reverse order.
-
     target._keys = [
-      new ColorKey(0.000000, new Color(0.988235, 1.000000, 0.698039)),
-      new ColorKey(0.066667, new Color(0.987190, 0.843137, 0.562092)),
-      new ColorKey(0.166667, new Color(0.984314, 0.694118, 0.446275)),
-      new ColorKey(0.200000, new Color(0.981176, 0.548235, 0.354510)),
-      new ColorKey(0.266667, new Color(0.962353, 0.412549, 0.301176)),
-      new ColorKey(0.333333, new Color(0.912418, 0.286275, 0.298039)),
-      new ColorKey(0.400000, new Color(0.824314, 0.198431, 0.334902)),
-      new ColorKey(0.466667, new Color(0.703268, 0.142484, 0.383007)),
-      new ColorKey(0.533333, new Color(0.584052, 0.110588, 0.413856)),
-      new ColorKey(0.600000, new Color(0.471373, 0.080784, 0.430588)),
-      new ColorKey(0.666667, new Color(0.367320, 0.045752, 0.432680)),
-      new ColorKey(0.733333, new Color(0.267974, 0.002353, 0.416732)),
-      new ColorKey(0.800000, new Color(0.174118, 0.006275, 0.357647)),
-      new ColorKey(0.866667, new Color(0.093856, 0.036863, 0.232941)),
-      new ColorKey(0.933333, new Color(0.040784, 0.028758, 0.110327)),
-      new ColorKey(1.000000, new Color(0.000000, 0.000000, 0.019608))
+      new ColorKey(0.000000, new Color(0.000000, 0.000000, 0.019608)),
+      new ColorKey(0.066667, new Color(0.040784, 0.028758, 0.110327)),
+      new ColorKey(0.133333, new Color(0.093856, 0.036863, 0.232941)),
+      new ColorKey(0.200000, new Color(0.174118, 0.006275, 0.357647)),
+      new ColorKey(0.266667, new Color(0.267974, 0.002353, 0.416732)),
+      new ColorKey(0.333333, new Color(0.367320, 0.045752, 0.432680)),
+      new ColorKey(0.400000, new Color(0.471373, 0.080784, 0.430588)),
+      new ColorKey(0.466667, new Color(0.584052, 0.110588, 0.413856)),
+      new ColorKey(0.533333, new Color(0.703268, 0.142484, 0.383007)),
+      new ColorKey(0.600000, new Color(0.824314, 0.198431, 0.334902)),
+      new ColorKey(0.666667, new Color(0.912418, 0.286275, 0.298039)),
+      new ColorKey(0.733333, new Color(0.962353, 0.412549, 0.301176)),
+      new ColorKey(0.800000, new Color(0.981176, 0.548235, 0.354510)),
+      new ColorKey(0.866667, new Color(0.984314, 0.694118, 0.446275)),
+      new ColorKey(0.933333, new Color(0.987190, 0.843137, 0.562092)),
+      new ColorKey(1.000000, new Color(0.988235, 1.000000, 0.698039))
     ];
 
     return target;
@@ -684,7 +682,7 @@ class Gradient {
     target._keys = [
       new ColorKey(0.000000, new Color(0.266667, 0.003922, 0.329412)),
       new ColorKey(0.066667, new Color(0.282353, 0.100131, 0.420654)),
-      new ColorKey(0.166667, new Color(0.276078, 0.184575, 0.487582)),
+      new ColorKey(0.133333, new Color(0.276078, 0.184575, 0.487582)),
       new ColorKey(0.200000, new Color(0.254902, 0.265882, 0.527843)),
       new ColorKey(0.266667, new Color(0.221961, 0.340654, 0.549281)),
       new ColorKey(0.333333, new Color(0.192157, 0.405229, 0.554248)),
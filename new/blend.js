@@ -0,0 +1,518 @@
+'use strict';
+
+/**
+ * Composites a source color, o, onto a destination, or backdrop, color, d,
+ * following the W3C Compositing and Blending Level 1 specification,
+ * https://www.w3.org/TR/compositing-1/ . Colors are gamma sRGB with
+ * unpremultiplied alpha; inputs are clamped to [0.0, 1.0]. When the linear
+ * flag is true, colors are converted to linear sRGB before they are blended,
+ * then the result is converted back to gamma. Blend modes mix the source
+ * with the backdrop where they overlap, then composite the result with
+ * source over.
+ */
+class Blend {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static clear (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d, () => 0.0, () => 0.0, linear);
+    }
+
+    /**
+     * Blends the source's hue and saturation with the backdrop's luminosity.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static color (o, d, linear = false) {
+        return Blend.nonSeparableInternal(o, d, (cb, cs) =>
+            Blend.setLumInternal(cs, Blend.lumInternal(cb)), linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static colorBurn (o, d, linear = false) {
+        return Blend.separableInternal(o, d, (cb, cs) => {
+            if (cb >= 1.0) { return 1.0; }
+            if (cs <= 0.0) { return 0.0; }
+            return 1.0 - Math.min(1.0, (1.0 - cb) / cs);
+        }, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static colorDodge (o, d, linear = false) {
+        return Blend.separableInternal(o, d, (cb, cs) => {
+            if (cb <= 0.0) { return 0.0; }
+            if (cs >= 1.0) { return 1.0; }
+            return Math.min(1.0, cb / (1.0 - cs));
+        }, linear);
+    }
+
+    /**
+     * Composites a blended color with source over. The blended color is
+     * weighted by the backdrop's alpha.
+     *
+     * @param {Rgb} s source color
+     * @param {Rgb} b backdrop color
+     * @param {number[]} mixed blended channels
+     * @param {boolean} linear blend in linear
+     * @returns the composite
+     */
+    static compositeInternal (s, b, mixed, linear) {
+        const as = s.alpha;
+        const ab = b.alpha;
+        const ao = as + ab * (1.0 - as);
+        if (ao <= 0.0) { return Rgb.clear(); }
+
+        const cs = [s.r, s.g, s.b];
+        const cb = [b.r, b.g, b.b];
+        const co = [0.0, 0.0, 0.0];
+        const aoInv = 1.0 / ao;
+        for (let i = 0; i < 3; ++i) {
+            const m = (1.0 - ab) * cs[i] + ab * mixed[i];
+            co[i] = (as * m + (1.0 - as) * ab * cb[i]) * aoInv;
+        }
+
+        const result = new Rgb(co[0], co[1], co[2], ao);
+        return linear ? Rgb.sRgbLinearToGamma(result) : result;
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static copy (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d, () => 1.0, () => 0.0, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static darken (o, d, linear = false) {
+        return Blend.separableInternal(o, d, Math.min, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static destination (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d, () => 0.0, () => 1.0, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static destinationAtop (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => 1.0 - ab, (as) => as, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static destinationIn (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            () => 0.0, (as) => as, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static destinationOut (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            () => 0.0, (as) => 1.0 - as, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static destinationOver (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => 1.0 - ab, () => 1.0, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static difference (o, d, linear = false) {
+        return Blend.separableInternal(o, d,
+            (cb, cs) => Math.abs(cb - cs), linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static exclusion (o, d, linear = false) {
+        return Blend.separableInternal(o, d,
+            (cb, cs) => cb + cs - 2.0 * cb * cs, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static hardLight (o, d, linear = false) {
+        return Blend.separableInternal(o, d,
+            Blend.hardLightInternal, linear);
+    }
+
+    /**
+     * @param {number} cb backdrop channel
+     * @param {number} cs source channel
+     * @returns the blended channel
+     */
+    static hardLightInternal (cb, cs) {
+        if (cs <= 0.5) {
+            return cb * 2.0 * cs;
+        }
+        const t = 2.0 * cs - 1.0;
+        return cb + t - cb * t;
+    }
+
+    /**
+     * Blends the source's hue with the backdrop's saturation and
+     * luminosity.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static hue (o, d, linear = false) {
+        return Blend.nonSeparableInternal(o, d, (cb, cs) =>
+            Blend.setLumInternal(
+                Blend.setSatInternal(cs, Blend.satInternal(cb)),
+                Blend.lumInternal(cb)), linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static lighten (o, d, linear = false) {
+        return Blend.separableInternal(o, d, Math.max, linear);
+    }
+
+    /**
+     * Adds the source and destination, then clamps the sum. Also known as
+     * plus lighter.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static lighter (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d, () => 1.0, () => 1.0, linear);
+    }
+
+    /**
+     * @param {number[]} c color channels
+     * @returns the luminosity
+     */
+    static lumInternal (c) {
+        return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+    }
+
+    /**
+     * Blends the source's luminosity with the backdrop's hue and
+     * saturation.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static luminosity (o, d, linear = false) {
+        return Blend.nonSeparableInternal(o, d, (cb, cs) =>
+            Blend.setLumInternal(cb, Blend.lumInternal(cs)), linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static multiply (o, d, linear = false) {
+        return Blend.separableInternal(o, d, (cb, cs) => cb * cs, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {function} f blend function on channel arrays
+     * @param {boolean} linear blend in linear
+     * @returns the composite
+     */
+    static nonSeparableInternal (o, d, f, linear) {
+        const s = Blend.prepareInternal(o, linear);
+        const b = Blend.prepareInternal(d, linear);
+        return Blend.compositeInternal(s, b,
+            f([b.r, b.g, b.b], [s.r, s.g, s.b]), linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static overlay (o, d, linear = false) {
+        return Blend.separableInternal(o, d,
+            (cb, cs) => Blend.hardLightInternal(cs, cb), linear);
+    }
+
+    /**
+     * Composites with a Porter-Duff operator. The source and destination
+     * factors are functions of the source and destination alpha.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {function} fa source factor
+     * @param {function} fb destination factor
+     * @param {boolean} linear blend in linear
+     * @returns the composite
+     */
+    static porterDuffInternal (o, d, fa, fb, linear) {
+        const s = Rgb.premul(Blend.prepareInternal(o, linear));
+        const b = Rgb.premul(Blend.prepareInternal(d, linear));
+        const ws = fa(s.alpha, b.alpha);
+        const wb = fb(s.alpha, b.alpha);
+        const result = Rgb.unpremul(Rgb.clamp(new Rgb(
+            s.r * ws + b.r * wb,
+            s.g * ws + b.g * wb,
+            s.b * ws + b.b * wb,
+            s.alpha * ws + b.alpha * wb)));
+        return linear ? Rgb.sRgbLinearToGamma(result) : result;
+    }
+
+    /**
+     * @param {Rgb} o gamma color
+     * @param {boolean} linear convert to linear
+     * @returns the clamped color
+     */
+    static prepareInternal (o, linear) {
+        const c = Rgb.clamp(o);
+        return linear ? Rgb.sRgbGammaToLinear(c) : c;
+    }
+
+    /**
+     * Blends the source's saturation with the backdrop's hue and
+     * luminosity.
+     *
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static saturation (o, d, linear = false) {
+        return Blend.nonSeparableInternal(o, d, (cb, cs) =>
+            Blend.setLumInternal(
+                Blend.setSatInternal(cb, Blend.satInternal(cs)),
+                Blend.lumInternal(cb)), linear);
+    }
+
+    /**
+     * @param {number[]} c color channels
+     * @returns the saturation
+     */
+    static satInternal (c) {
+        return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static screen (o, d, linear = false) {
+        return Blend.separableInternal(o, d,
+            (cb, cs) => cb + cs - cb * cs, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {function} f blend function on channels
+     * @param {boolean} linear blend in linear
+     * @returns the composite
+     */
+    static separableInternal (o, d, f, linear) {
+        const s = Blend.prepareInternal(o, linear);
+        const b = Blend.prepareInternal(d, linear);
+        return Blend.compositeInternal(s, b, [
+            f(b.r, s.r),
+            f(b.g, s.g),
+            f(b.b, s.b)
+        ], linear);
+    }
+
+    /**
+     * Shifts a color to a luminosity, then clips it to the gamut while
+     * preserving luminosity.
+     *
+     * @param {number[]} c color channels
+     * @param {number} l luminosity
+     * @returns the color channels
+     */
+    static setLumInternal (c, l) {
+        const delta = l - Blend.lumInternal(c);
+        const r = [c[0] + delta, c[1] + delta, c[2] + delta];
+
+        const lum = Blend.lumInternal(r);
+        const mn = Math.min(r[0], r[1], r[2]);
+        const mx = Math.max(r[0], r[1], r[2]);
+        for (let i = 0; i < 3; ++i) {
+            if (mn < 0.0) {
+                r[i] = lum + (r[i] - lum) * lum / (lum - mn);
+            }
+            if (mx > 1.0) {
+                r[i] = lum + (r[i] - lum) * (1.0 - lum) / (mx - lum);
+            }
+        }
+        return r;
+    }
+
+    /**
+     * @param {number[]} c color channels
+     * @param {number} s saturation
+     * @returns the color channels
+     */
+    static setSatInternal (c, s) {
+        const idcs = [0, 1, 2].sort((a, b) => c[a] - c[b]);
+        const iMin = idcs[0];
+        const iMid = idcs[1];
+        const iMax = idcs[2];
+
+        const r = [0.0, 0.0, 0.0];
+        const range = c[iMax] - c[iMin];
+        if (range > 0.0) {
+            r[iMid] = (c[iMid] - c[iMin]) * s / range;
+            r[iMax] = s;
+        }
+        return r;
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static softLight (o, d, linear = false) {
+        return Blend.separableInternal(o, d, (cb, cs) => {
+            if (cs <= 0.5) {
+                return cb - (1.0 - 2.0 * cs) * cb * (1.0 - cb);
+            }
+            const e = cb <= 0.25 ?
+                ((16.0 * cb - 12.0) * cb + 4.0) * cb :
+                Math.sqrt(cb);
+            return cb + (2.0 * cs - 1.0) * (e - cb);
+        }, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static sourceAtop (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => ab, (as) => 1.0 - as, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static sourceIn (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => ab, () => 0.0, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static sourceOut (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => 1.0 - ab, () => 0.0, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static sourceOver (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            () => 1.0, (as) => 1.0 - as, linear);
+    }
+
+    /**
+     * @param {Rgb} o source color
+     * @param {Rgb} d destination color
+     * @param {boolean} [linear=false] blend in linear
+     * @returns the composite
+     */
+    static xor (o, d, linear = false) {
+        return Blend.porterDuffInternal(o, d,
+            (as, ab) => 1.0 - ab, (as) => 1.0 - as, linear);
+    }
+}
\ No newline at end of file
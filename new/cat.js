@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Chromatic adaptation transforms. A transform is defined by a matrix that
+ * converts CIE XYZ to a cone response space. A color is adapted from a source
+ * to a destination white point by scaling its cone responses by the ratio of
+ * the white points' responses.
+ */
+class Cat {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Adapts a color from a source to a destination white point.
+     *
+     * @param {Xyz} o color
+     * @param {Xyz} src source white point
+     * @param {Xyz} dst destination white point
+     * @param {Mat3x3} [cone=Cat.bradford()] cone response matrix
+     * @returns the adapted color
+     */
+    static adapt (o, src, dst, cone = Cat.bradford()) {
+        const m = Cat.adaptMatrix(src, dst, cone);
+        return new Xyz(
+            m.m00 * o.x + m.m01 * o.y + m.m02 * o.z,
+            m.m10 * o.x + m.m11 * o.y + m.m12 * o.z,
+            m.m20 * o.x + m.m21 * o.y + m.m22 * o.z,
+            o.alpha);
+    }
+
+    /**
+     * Finds the matrix that adapts a color from a source to a destination
+     * white point.
+     *
+     * @param {Xyz} src source white point
+     * @param {Xyz} dst destination white point
+     * @param {Mat3x3} [cone=Cat.bradford()] cone response matrix
+     * @returns the adaptation matrix
+     */
+    static adaptMatrix (src, dst, cone = Cat.bradford()) {
+        const srcLms = Mat3x3.mulVec3(cone, new Vec3(src.x, src.y, src.z));
+        const dstLms = Mat3x3.mulVec3(cone, new Vec3(dst.x, dst.y, dst.z));
+        const scale = Mat3x3.fromScale(new Vec3(
+            srcLms.x !== 0.0 ? dstLms.x / srcLms.x : 1.0,
+            srcLms.y !== 0.0 ? dstLms.y / srcLms.y : 1.0,
+            srcLms.z !== 0.0 ? dstLms.z / srcLms.z : 1.0));
+        return Mat3x3.mul(Mat3x3.inverse(cone), Mat3x3.mul(scale, cone));
+    }
+
+    /**
+     * @returns the Bradford cone response matrix
+     */
+    static bradford () {
+        return new Mat3x3(
+            0.8951, 0.2664, -0.1614,
+            -0.7502, 1.7135, 0.0367,
+            0.0389, -0.0685, 1.0296);
+    }
+
+    /**
+     * @returns the CIECAM02 cone response matrix
+     */
+    static cat02 () {
+        return new Mat3x3(
+            0.7328, 0.4296, -0.1624,
+            -0.7036, 1.6975, 0.0061,
+            0.003, 0.0136, 0.9834);
+    }
+
+    /**
+     * @returns the CAM16 cone response matrix
+     */
+    static cat16 () {
+        return new Mat3x3(
+            0.401288, 0.650173, -0.051461,
+            -0.250268, 1.204414, 0.045854,
+            -0.002079, 0.048952, 0.953127);
+    }
+
+    /**
+     * @returns the von Kries, or Hunt-Pointer-Estevez, cone response matrix
+     */
+    static vonKries () {
+        return new Mat3x3(
+            0.40024, 0.7076, -0.08081,
+            -0.2263, 1.16532, 0.0457,
+            0.0, 0.0, 0.91822);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Converts between correlated color temperature, CCT, in Kelvin and color.
+ * Temperatures are clamped to [1000.0, 40000.0]. Points on the Planckian
+ * locus are found by summing Planck's law against the CIE 1931 2 degree
+ * color matching functions. Distance from the locus, Duv, is measured in
+ * the CIE 1960 UCS diagram; positive values lie above the locus, toward
+ * green, negative values below, toward magenta.
+ */
+class Cct {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Finds the color of a blackbody radiator at a temperature, offset from
+     * the locus by Duv. The color is normalized so that its luminance is
+     * 1.0 .
+     *
+     * @param {number} kelvin temperature
+     * @param {number} [duv=0.0] distance from the locus
+     * @returns the XYZ color
+     */
+    static kelvinToXyz (kelvin, duv = 0.0) {
+        const t = Math.min(Math.max(kelvin, 1000.0), 40000.0);
+        let uv = Cct.planckUvInternal(t);
+        if (duv !== 0.0) {
+            const next = Cct.planckUvInternal(t + 1.0);
+            const du = next[0] - uv[0];
+            const dv = next[1] - uv[1];
+            const mag = Math.sqrt(du * du + dv * dv);
+            if (mag > 0.0) {
+                let nu = -dv / mag;
+                let nv = du / mag;
+                if (nv < 0.0) {
+                    nu = -nu;
+                    nv = -nv;
+                }
+                uv = [uv[0] + nu * duv, uv[1] + nv * duv];
+            }
+        }
+
+        const denom = 2.0 * uv[0] - 8.0 * uv[1] + 4.0;
+        const x = 3.0 * uv[0] / denom;
+        const y = 2.0 * uv[1] / denom;
+        return new Xyz(x / y, 1.0, (1.0 - x - y) / y, 1.0);
+    }
+
+    /**
+     * Finds the gamma sRGB color of a blackbody radiator at a temperature,
+     * offset from the locus by Duv. The color is scaled so that its greatest
+     * channel is 1.0, then clamped; below about 1900 Kelvin, blue falls out
+     * of gamut.
+     *
+     * @param {number} kelvin temperature
+     * @param {number} [duv=0.0] distance from the locus
+     * @returns the color
+     */
+    static kelvinToRgb (kelvin, duv = 0.0) {
+        const l = Rgb.xyzToSRgbLinear(Cct.kelvinToXyz(kelvin, duv));
+        const mx = Math.max(l.r, l.g, l.b);
+        const s = mx > 0.0 ? 1.0 / mx : 1.0;
+        return Rgb.clamp(Rgb.sRgbLinearToGamma(
+            new Rgb(l.r * s, l.g * s, l.b * s, 1.0)));
+    }
+
+    /**
+     * Estimates the temperature of a color with McCamy's cubic
+     * approximation. It is accurate to within a few Kelvin from 2856 to
+     * 6504 Kelvin for colors near the locus. The result is not clamped.
+     *
+     * @param {Xyz} o XYZ color
+     * @returns the temperature
+     */
+    static mcCamy (o) {
+        const sum = o.x + o.y + o.z;
+        if (sum === 0.0) { return 0.0; }
+        const x = o.x / sum;
+        const y = o.y / sum;
+        const n = (x - 0.332) / (0.1858 - y);
+        return ((449.0 * n + 3525.0) * n + 6823.3) * n + 5520.33;
+    }
+
+    /**
+     * Estimates the temperature of a color and its distance from the locus
+     * with Ohno's combined triangular and parabolic method (2014). Returns
+     * an object with the fields 'cct' and 'duv'. A nearest point is found in
+     * a table of the locus with 1% steps, then refined in a finer table
+     * around that point.
+     *
+     * @param {Xyz} o XYZ color
+     * @returns the estimate
+     */
+    static ohno (o) {
+        const denom = o.x + 15.0 * o.y + 3.0 * o.z;
+        if (denom === 0.0) { return { cct: 0.0, duv: 0.0 }; }
+        const u = 4.0 * o.x / denom;
+        const v = 6.0 * o.y / denom;
+
+        const coarse = Cct.LOCUS;
+        const mCoarse = Cct.nearestInternal(coarse, u, v);
+        const last = coarse.length - 1;
+        const lb = coarse[Math.max(mCoarse - 1, 0)][0];
+        const ub = coarse[Math.min(mCoarse + 1, last)][0];
+
+        const fine = [];
+        const steps = 16;
+        const toStep = 1.0 / steps;
+        for (let i = 0; i <= steps; ++i) {
+            const t = lb + (ub - lb) * i * toStep;
+            const uv = Cct.planckUvInternal(t);
+            fine.push([t, uv[0], uv[1]]);
+        }
+
+        const m = Math.min(Math.max(
+            Cct.nearestInternal(fine, u, v), 1), steps - 1);
+        const p = fine[m - 1];
+        const q = fine[m];
+        const n = fine[m + 1];
+        const dist = (e) => Math.sqrt(
+            (u - e[1]) * (u - e[1]) + (v - e[2]) * (v - e[2]));
+        const dp = dist(p);
+        const dq = dist(q);
+        const dn = dist(n);
+
+        const l = Math.sqrt((n[1] - p[1]) * (n[1] - p[1])
+            + (n[2] - p[2]) * (n[2] - p[2]));
+        const x = (dp * dp - dn * dn + l * l) / (2.0 * l);
+        const vx = p[2] + (n[2] - p[2]) * x / l;
+        const sign = v - vx < 0.0 ? -1.0 : 1.0;
+        let cct = p[0] + (n[0] - p[0]) * x / l;
+        let duv = sign * Math.sqrt(Math.max(dp * dp - x * x, 0.0));
+
+        if (Math.abs(duv) >= 0.002) {
+            const tp = p[0];
+            const tq = q[0];
+            const tn = n[0];
+            const den = (tn - tq) * (tp - tn) * (tq - tp);
+            const a = (tp * (dn - dq) + tq * (dp - dn) + tn * (dq - dp))
+                / den;
+            const b = -(tp * tp * (dn - dq) + tq * tq * (dp - dn)
+                + tn * tn * (dq - dp)) / den;
+            const c = -(dp * (tn - tq) * tq * tn
+                + dq * (tp - tn) * tp * tn
+                + dn * (tq - tp) * tp * tq) / den;
+            cct = -b / (2.0 * a);
+            duv = sign * (a * cct * cct + b * cct + c);
+        }
+
+        return { cct: cct, duv: duv };
+    }
+
+    /**
+     * Estimates the temperature of a gamma sRGB color with Ohno's method.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the estimate
+     */
+    static ohnoRgb (o) {
+        return Cct.ohno(Rgb.sRgbLinearToXyz(Rgb.sRgbGammaToLinear(o)));
+    }
+
+    /**
+     * Creates a table of the locus. Each entry is an array of the
+     * temperature followed by the CIE 1960 u and v coordinates.
+     *
+     * @param {number} lb lower bound
+     * @param {number} ub upper bound
+     * @param {number} ratio ratio between steps
+     * @returns the table
+     */
+    static locusInternal (lb, ub, ratio) {
+        const table = [];
+        for (let t = lb; t < ub * ratio; t *= ratio) {
+            const tc = Math.min(t, ub);
+            const uv = Cct.planckUvInternal(tc);
+            table.push(Object.freeze([tc, uv[0], uv[1]]));
+        }
+        return Object.freeze(table);
+    }
+
+    /**
+     * @param {number[][]} table locus table
+     * @param {number} u u coordinate
+     * @param {number} v v coordinate
+     * @returns the index of the nearest entry
+     */
+    static nearestInternal (table, u, v) {
+        let minDist = Number.MAX_VALUE;
+        let m = 0;
+        const len = table.length;
+        for (let i = 0; i < len; ++i) {
+            const du = u - table[i][1];
+            const dv = v - table[i][2];
+            const d = du * du + dv * dv;
+            if (d < minDist) {
+                minDist = d;
+                m = i;
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Finds the CIE 1960 u and v coordinates of a blackbody radiator by
+     * summing its spectral power against the color matching functions.
+     *
+     * @param {number} kelvin temperature
+     * @returns the coordinates
+     */
+    static planckUvInternal (kelvin) {
+        let x = 0.0;
+        let y = 0.0;
+        let z = 0.0;
+        const cmf = Cct.CMF;
+        const len = cmf.length;
+        for (let i = 0; i < len; ++i) {
+            const m = (380 + i * 10) * 1e-9;
+            const power = 1.0 / (Math.pow(m, 5.0)
+                * (Math.exp(0.014388 / (m * kelvin)) - 1.0));
+            x += power * cmf[i][0];
+            y += power * cmf[i][1];
+            z += power * cmf[i][2];
+        }
+
+        const denom = x + 15.0 * y + 3.0 * z;
+        return [4.0 * x / denom, 6.0 * y / denom];
+    }
+}
+
+/**
+ * CIE 1931 2 degree color matching functions, x, y and z, from 380 to 780
+ * nanometers at 10 nanometer steps.
+ */
+Cct.CMF = Object.freeze([
+    [0.001368, 0.000039, 0.00645], [0.004243, 0.00012, 0.02005],
+    [0.01431, 0.000396, 0.06785], [0.04351, 0.00121, 0.2074],
+    [0.13438, 0.004, 0.6456], [0.2839, 0.0116, 1.3856],
+    [0.34828, 0.023, 1.74706], [0.3362, 0.038, 1.77211],
+    [0.2908, 0.06, 1.6692], [0.19536, 0.09098, 1.28764],
+    [0.09564, 0.13902, 0.81295], [0.03201, 0.20802, 0.46518],
+    [0.0049, 0.323, 0.272], [0.0093, 0.503, 0.1582],
+    [0.06327, 0.71, 0.07825], [0.1655, 0.862, 0.04216],
+    [0.2904, 0.954, 0.0203], [0.43345, 0.99495, 0.00875],
+    [0.5945, 0.995, 0.0039], [0.7621, 0.952, 0.0021],
+    [0.9163, 0.87, 0.00165], [1.0263, 0.757, 0.0011],
+    [1.0622, 0.631, 0.0008], [1.0026, 0.503, 0.00034],
+    [0.85445, 0.381, 0.00019], [0.6424, 0.265, 0.00005],
+    [0.4479, 0.175, 0.00002], [0.2835, 0.107, 0.0],
+    [0.1649, 0.061, 0.0], [0.0874, 0.032, 0.0],
+    [0.04677, 0.017, 0.0], [0.0227, 0.00821, 0.0],
+    [0.011359, 0.004102, 0.0], [0.00579, 0.002091, 0.0],
+    [0.002899, 0.001047, 0.0], [0.00144, 0.00052, 0.0],
+    [0.00069, 0.000249, 0.0], [0.000332, 0.00012, 0.0],
+    [0.000166, 0.00006, 0.0], [0.000083, 0.00003, 0.0],
+    [0.000042, 0.000015, 0.0]
+].map(Object.freeze));
+
+/**
+ * The Planckian locus from 1000 to 40000 Kelvin at 1% steps.
+ */
+Cct.LOCUS = Cct.locusInternal(1000.0, 40000.0, 1.01);
\ No newline at end of file
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Measures the contrast between a foreground and background color, both in
+ * gamma sRGB. Colors are treated as opaque. WCAG 2.x contrast ratios fall in
+ * [1.0, 21.0]; APCA lightness contrast, Lc, is signed and falls roughly in
+ * [-108.0, 106.0], positive for dark text on a light background.
+ */
+class Contrast {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Finds the foreground color nearest in lightness to the original that
+     * meets a target contrast against the background. The foreground is
+     * converted to CIE LCH; its lightness is searched while its hue and
+     * chroma are kept. Where the chroma is out of gamut at the new lightness,
+     * it is reduced. The contrast function is called with the foreground
+     * first; its absolute value is compared to the target. If the target
+     * cannot be met, returns the color with the greatest contrast found.
+     *
+     * @param {Rgb} o foreground color
+     * @param {Rgb} d background color
+     * @param {number} [target=4.5] target contrast
+     * @param {function} [contrast=Contrast.wcag] contrast function
+     * @param {number} [iterations=16] search iterations
+     * @returns the adjusted foreground
+     */
+    static adjustLightness (
+        o, d,
+        target = 4.5,
+        contrast = Contrast.wcag,
+        iterations = 16) {
+
+        const measure = (rgb) => Math.abs(contrast(rgb, d));
+        if (measure(o) >= target) {
+            return o;
+        }
+
+        const lch = Rgb.sRgbToCieLch(o);
+        const toRgb = (l) => Rgb.gamutMapChroma(
+            new Lch(l, lch.c, lch.h, o.alpha), Rgb.cieLchToSRgb);
+
+        let best = o;
+        let bestContrast = measure(o);
+        let minDelta = Number.MAX_VALUE;
+        const extremes = [0.0, 100.0];
+        for (const extreme of extremes) {
+            const rgbExtreme = toRgb(extreme);
+            const cExtreme = measure(rgbExtreme);
+            if (cExtreme < target) {
+                if (minDelta === Number.MAX_VALUE
+                    && cExtreme > bestContrast) {
+                    best = rgbExtreme;
+                    bestContrast = cExtreme;
+                }
+                continue;
+            }
+
+            let fail = lch.l;
+            let pass = extreme;
+            let rgbPass = rgbExtreme;
+            for (let i = 0; i < iterations; ++i) {
+                const mid = (fail + pass) * 0.5;
+                const rgbMid = toRgb(mid);
+                if (measure(rgbMid) >= target) {
+                    pass = mid;
+                    rgbPass = rgbMid;
+                } else {
+                    fail = mid;
+                }
+            }
+
+            const delta = Math.abs(pass - lch.l);
+            if (delta < minDelta) {
+                minDelta = delta;
+                best = rgbPass;
+                bestContrast = measure(rgbPass);
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Finds the lightness contrast of a foreground text against a background
+     * with the Accessible Perceptual Contrast Algorithm, APCA, version
+     * 0.0.98G-4g, https://github.com/Myndex/apca-w3 .
+     *
+     * @param {Rgb} o text color
+     * @param {Rgb} d background color
+     * @returns the contrast
+     */
+    static apca (o, d) {
+        const yTxt = Contrast.apcaClampInternal(Contrast.apcaLumInternal(o));
+        const yBg = Contrast.apcaClampInternal(Contrast.apcaLumInternal(d));
+        if (Math.abs(yBg - yTxt) < 0.0005) {
+            return 0.0;
+        }
+
+        if (yBg > yTxt) {
+            const sapc = (Math.pow(yBg, 0.56) - Math.pow(yTxt, 0.57)) * 1.14;
+            return sapc < 0.1 ? 0.0 : (sapc - 0.027) * 100.0;
+        }
+
+        const sapc = (Math.pow(yBg, 0.65) - Math.pow(yTxt, 0.62)) * 1.14;
+        return sapc > -0.1 ? 0.0 : (sapc + 0.027) * 100.0;
+    }
+
+    /**
+     * Soft clamps luminance near black.
+     *
+     * @param {number} y screen luminance
+     * @returns the clamped luminance
+     */
+    static apcaClampInternal (y) {
+        return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+    }
+
+    /**
+     * Finds the screen luminance used by APCA, which linearizes channels with
+     * a simple 2.4 exponent.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the luminance
+     */
+    static apcaLumInternal (o) {
+        const r = Math.min(Math.max(o.r, 0.0), 1.0);
+        const g = Math.min(Math.max(o.g, 0.0), 1.0);
+        const b = Math.min(Math.max(o.b, 0.0), 1.0);
+        return 0.2126729 * Math.pow(r, 2.4)
+            + 0.7151522 * Math.pow(g, 2.4)
+            + 0.072175 * Math.pow(b, 2.4);
+    }
+
+    /**
+     * Finds the relative luminance of a color as defined by WCAG 2.x,
+     * https://www.w3.org/TR/WCAG21/#dfn-relative-luminance .
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the luminance
+     */
+    static luminance (o) {
+        const l = Rgb.sRgbGammaToLinear(Rgb.clamp(o));
+        return 0.2126 * l.r + 0.7152 * l.g + 0.0722 * l.b;
+    }
+
+    /**
+     * Finds the WCAG 2.x contrast ratio between two colors,
+     * https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio . The order of the
+     * colors does not matter.
+     *
+     * @param {Rgb} o left operand
+     * @param {Rgb} d right operand
+     * @returns the ratio
+     */
+    static wcag (o, d) {
+        const lo = Contrast.luminance(o);
+        const ld = Contrast.luminance(d);
+        return lo > ld ?
+            (lo + 0.05) / (ld + 0.05) :
+            (ld + 0.05) / (lo + 0.05);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,606 @@
+'use strict';
+
+/**
+ * Parses and formats CSS color strings, as described in the CSS Color 4
+ * specification, https://www.w3.org/TR/css-color-4/ . CSS lab() and lch() are
+ * relative to the D50 white point. OK LAB and OK LCH are scaled by 100.0, so
+ * that their lightness is in [0.0, 100.0]. Hues for Lch are in [0.0, 1.0].
+ */
+class CssColor {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Formats a color as a color() function in an RGB color space.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {RgbSpace} space destination space
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatColor (o, space, precision = 4) {
+        const c = RgbSpace.convert(o, RgbSpace.sRgb(), space);
+        return CssColor.formatInternal('color', [
+            space.name,
+            c.r.toFixed(precision),
+            c.g.toFixed(precision),
+            c.b.toFixed(precision)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatDisplayP3 (o, precision = 4) {
+        return CssColor.formatColor(o, RgbSpace.displayP3(), precision);
+    }
+
+    /**
+     * Formats a color as a hexadecimal string. Alpha is included only when
+     * the color is not opaque.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the string
+     */
+    static formatHex (o) {
+        const channels = [
+            Rgb.getRInt(o, 8),
+            Rgb.getGInt(o, 8),
+            Rgb.getBInt(o, 8)
+        ];
+        const alpha8 = Rgb.getAlphaInt(o, 8);
+        if (alpha8 < 255) {
+            channels.push(alpha8);
+        }
+        return '#' + channels.map(
+            (c) => c.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatHsl (o, precision = 4) {
+        const hsl = Hsl.fromRgb(Rgb.clamp(o));
+        return CssColor.formatInternal('hsl', [
+            (hsl.h * 360.0).toFixed(precision),
+            (hsl.s * 100.0).toFixed(precision) + '%',
+            (hsl.l * 100.0).toFixed(precision) + '%'
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatHwb (o, precision = 4) {
+        const hwb = Hwb.fromRgb(Rgb.clamp(o));
+        return CssColor.formatInternal('hwb', [
+            (hwb.h * 360.0).toFixed(precision),
+            (hwb.w * 100.0).toFixed(precision) + '%',
+            (hwb.b * 100.0).toFixed(precision) + '%'
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {string} name function name
+     * @param {string[]} args arguments
+     * @param {number} alpha opacity
+     * @param {number} precision decimal display
+     * @returns the string
+     */
+    static formatInternal (name, args, alpha, precision) {
+        const alphaStr = alpha < 1.0 ?
+            ' / ' + Math.max(alpha, 0.0).toFixed(precision) :
+            '';
+        return name + '(' + args.join(' ') + alphaStr + ')';
+    }
+
+    /**
+     * @param {Lab} o CIE LAB color, D50 white point
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatLab (o, precision = 4) {
+        return CssColor.formatInternal('lab', [
+            o.l.toFixed(precision) + '%',
+            o.a.toFixed(precision),
+            o.b.toFixed(precision)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {Lch} o CIE LCH color, D50 white point
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatLch (o, precision = 4) {
+        return CssColor.formatInternal('lch', [
+            o.l.toFixed(precision) + '%',
+            o.c.toFixed(precision),
+            ((o.h - Math.floor(o.h)) * 360.0).toFixed(precision)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {Lab} o OK LAB color
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatOkLab (o, precision = 4) {
+        return CssColor.formatInternal('oklab', [
+            o.l.toFixed(precision) + '%',
+            (o.a * 0.01).toFixed(precision),
+            (o.b * 0.01).toFixed(precision)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * @param {Lch} o OK LCH color
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    static formatOkLch (o, precision = 4) {
+        return CssColor.formatInternal('oklch', [
+            o.l.toFixed(precision) + '%',
+            (o.c * 0.01).toFixed(precision),
+            ((o.h - Math.floor(o.h)) * 360.0).toFixed(precision)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * Formats a color as an rgb() function with channels in [0, 255].
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [precision=4] alpha decimal display
+     * @returns the string
+     */
+    static formatRgb (o, precision = 4) {
+        return CssColor.formatInternal('rgb', [
+            Rgb.getRInt(o, 8),
+            Rgb.getGInt(o, 8),
+            Rgb.getBInt(o, 8)
+        ], o.alpha, precision);
+    }
+
+    /**
+     * Parses a CSS color string. Returns an object with the color space's
+     * name and a color in that space. Spaces are 'srgb', 'srgb-linear',
+     * 'display-p3', 'rec2020', 'a98-rgb' and 'prophoto-rgb', which hold an
+     * Rgb; 'lab' and 'oklab', which hold a Lab; 'lch' and 'oklch', which hold
+     * an Lch. Arguments are separated either by spaces, with an optional
+     * alpha after a slash, or, in the legacy syntax of rgb() and hsl() only,
+     * by commas throughout. Returns null if the string could not be parsed.
+     *
+     * @param {string} str the string
+     * @returns the space and color
+     */
+    static parse (str) {
+        const s = str.trim().toLowerCase();
+
+        if (s.startsWith('#')) {
+            const rgb = CssColor.parseHexInternal(s.substring(1));
+            return rgb ? { space: 'srgb', color: rgb } : null;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(CssColor.NAMED, s)) {
+            const hex = CssColor.NAMED[s];
+            return {
+                space: 'srgb',
+                color: s === 'transparent' ?
+                    Rgb.clear() :
+                    Rgb.fromRGBA32(hex << 0x08 | 0xff)
+            };
+        }
+
+        const match = /^([a-z-]+)\(\s*(.*?)\s*\)$/.exec(s);
+        if (!match) { return null; }
+
+        const name = match[1];
+        const split = match[2].split('/');
+        if (split.length > 2) { return null; }
+
+        const body = split[0].trim();
+        const legacy = body.indexOf(',') >= 0;
+        const args = legacy ?
+            body.split(',').map((a) => a.trim()) :
+            body.split(/\s+/);
+        if (legacy && (split.length > 1
+            || !/^(rgba?|hsla?)$/.test(name)
+            || args.some((a) => !/^\S+$/.test(a)))) {
+            return null;
+        }
+        const legacyAlpha = legacy && args.length === 4;
+        const alpha = split.length > 1 ?
+            CssColor.parseNumberInternal(split[1].trim(), 1.0) :
+            legacyAlpha ?
+                CssColor.parseNumberInternal(args.pop(), 1.0) :
+                1.0;
+        if (Number.isNaN(alpha)) { return null; }
+        const t = Math.min(Math.max(alpha, 0.0), 1.0);
+
+        let result = null;
+        switch (name) {
+            case 'rgb':
+            case 'rgba': {
+                if (args.length !== 3) { return null; }
+                const r = CssColor.parseNumberInternal(args[0], 255.0);
+                const g = CssColor.parseNumberInternal(args[1], 255.0);
+                const b = CssColor.parseNumberInternal(args[2], 255.0);
+                result = {
+                    space: 'srgb',
+                    color: new Rgb(r / 255.0, g / 255.0, b / 255.0, t)
+                };
+                break;
+            }
+
+            case 'hsl':
+            case 'hsla': {
+                if (args.length !== 3) { return null; }
+                const h = CssColor.parseHueInternal(args[0]);
+                const sat = CssColor.parseNumberInternal(args[1], 100.0);
+                const light = CssColor.parseNumberInternal(args[2], 100.0);
+                result = {
+                    space: 'srgb',
+                    color: Rgb.fromHsl(new Hsl(
+                        h / 360.0, sat * 0.01, light * 0.01, t))
+                };
+                break;
+            }
+
+            case 'hwb': {
+                if (args.length !== 3) { return null; }
+                const h = CssColor.parseHueInternal(args[0]);
+                const w = CssColor.parseNumberInternal(args[1], 100.0) * 0.01;
+                const b = CssColor.parseNumberInternal(args[2], 100.0) * 0.01;
+                result = {
+                    space: 'srgb',
+                    color: Rgb.fromHwb(new Hwb(h / 360.0, w, b, t))
+                };
+                break;
+            }
+
+            case 'lab': {
+                if (args.length !== 3) { return null; }
+                result = {
+                    space: 'lab',
+                    color: new Lab(
+                        CssColor.parseNumberInternal(args[0], 100.0),
+                        CssColor.parseNumberInternal(args[1], 125.0),
+                        CssColor.parseNumberInternal(args[2], 125.0), t)
+                };
+                break;
+            }
+
+            case 'lch': {
+                if (args.length !== 3) { return null; }
+                result = {
+                    space: 'lch',
+                    color: new Lch(
+                        CssColor.parseNumberInternal(args[0], 100.0),
+                        CssColor.parseNumberInternal(args[1], 150.0),
+                        CssColor.parseHueInternal(args[2]) / 360.0, t)
+                };
+                break;
+            }
+
+            case 'oklab': {
+                if (args.length !== 3) { return null; }
+                result = {
+                    space: 'oklab',
+                    color: new Lab(
+                        CssColor.parseNumberInternal(args[0], 1.0) * 100.0,
+                        CssColor.parseNumberInternal(args[1], 0.4) * 100.0,
+                        CssColor.parseNumberInternal(args[2], 0.4) * 100.0,
+                        t)
+                };
+                break;
+            }
+
+            case 'oklch': {
+                if (args.length !== 3) { return null; }
+                result = {
+                    space: 'oklch',
+                    color: new Lch(
+                        CssColor.parseNumberInternal(args[0], 1.0) * 100.0,
+                        CssColor.parseNumberInternal(args[1], 0.4) * 100.0,
+                        CssColor.parseHueInternal(args[2]) / 360.0, t)
+                };
+                break;
+            }
+
+            case 'color': {
+                if (args.length !== 4) { return null; }
+                const space = args[0];
+                if (space !== 'srgb-linear'
+                    && RgbSpace.fromName(space) === null) {
+                    return null;
+                }
+                result = {
+                    space: space,
+                    color: new Rgb(
+                        CssColor.parseNumberInternal(args[1], 1.0),
+                        CssColor.parseNumberInternal(args[2], 1.0),
+                        CssColor.parseNumberInternal(args[3], 1.0), t)
+                };
+                break;
+            }
+
+            default:
+                return null;
+        }
+
+        const c = result.color;
+        const values = c instanceof Rgb ? [c.r, c.g, c.b] :
+            c instanceof Lab ? [c.l, c.a, c.b] :
+                [c.l, c.c, c.h];
+        if (values.some(Number.isNaN)) { return null; }
+        return result;
+    }
+
+    /**
+     * @param {string} s hexadecimal digits without the leading hash
+     * @returns the color
+     */
+    static parseHexInternal (s) {
+        if (!/^[0-9a-f]+$/.test(s)) { return null; }
+
+        const len = s.length;
+        if (len === 3 || len === 4) {
+            const r = parseInt(s[0], 16);
+            const g = parseInt(s[1], 16);
+            const b = parseInt(s[2], 16);
+            const t = len === 4 ? parseInt(s[3], 16) : 15;
+            return Rgb.fromInts(r, g, b, t, 4, 4, 4, 4);
+        }
+
+        if (len === 6 || len === 8) {
+            const r = parseInt(s.substring(0, 2), 16);
+            const g = parseInt(s.substring(2, 4), 16);
+            const b = parseInt(s.substring(4, 6), 16);
+            const t = len === 8 ? parseInt(s.substring(6, 8), 16) : 255;
+            return Rgb.from8s(r, g, b, t);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parses a hue token. Numbers without units are treated as degrees.
+     *
+     * @param {string} token the token
+     * @returns the hue in degrees
+     */
+    static parseHueInternal (token) {
+        if (token === 'none') { return 0.0; }
+
+        const match = /^([+-]?[0-9]*\.?[0-9]+(?:e[+-]?[0-9]+)?)(deg|rad|grad|turn)?$/
+            .exec(token);
+        if (!match) { return Number.NaN; }
+
+        const v = parseFloat(match[1]);
+        switch (match[2]) {
+            case 'rad':
+                return v * 57.29577951308232;
+            case 'grad':
+                return v * 0.9;
+            case 'turn':
+                return v * 360.0;
+            case 'deg':
+            default:
+                return v;
+        }
+    }
+
+    /**
+     * Parses a number or percentage token. A percentage is mapped to the
+     * range [0.0, scale].
+     *
+     * @param {string} token the token
+     * @param {number} scale the value of 100%
+     * @returns the number
+     */
+    static parseNumberInternal (token, scale) {
+        if (token === 'none') { return 0.0; }
+
+        const match = /^([+-]?[0-9]*\.?[0-9]+(?:e[+-]?[0-9]+)?)(%)?$/
+            .exec(token);
+        if (!match) { return Number.NaN; }
+
+        const v = parseFloat(match[1]);
+        return match[2] ? v * 0.01 * scale : v;
+    }
+
+    /**
+     * Parses a CSS color string and converts it to gamma sRGB. Colors from
+     * wider gamuts are not clipped. Returns null if the string could not be
+     * parsed.
+     *
+     * @param {string} str the string
+     * @returns the color
+     */
+    static parseRgb (str) {
+        const parsed = CssColor.parse(str);
+        if (!parsed) { return null; }
+
+        const c = parsed.color;
+        switch (parsed.space) {
+            case 'srgb-linear':
+                return Rgb.sRgbLinearToGamma(c);
+            case 'lab':
+                return Rgb.cieLabToSRgb(c, Xyz.d50());
+            case 'lch':
+                return Rgb.cieLchToSRgb(c, Xyz.d50());
+            case 'oklab':
+                return Rgb.okLabToSRgb(c);
+            case 'oklch':
+                return Rgb.okLchToSRgb(c);
+            case 'srgb':
+                return c;
+            default:
+                return RgbSpace.convert(c,
+                    RgbSpace.fromName(parsed.space),
+                    RgbSpace.sRgb());
+        }
+    }
+}
+
+/**
+ * CSS named colors as 24 bit integers, 0xRRGGBB .
+ */
+CssColor.NAMED = Object.freeze({
+    aliceblue: 0xf0f8ff,
+    antiquewhite: 0xfaebd7,
+    aqua: 0x00ffff,
+    aquamarine: 0x7fffd4,
+    azure: 0xf0ffff,
+    beige: 0xf5f5dc,
+    bisque: 0xffe4c4,
+    black: 0x000000,
+    blanchedalmond: 0xffebcd,
+    blue: 0x0000ff,
+    blueviolet: 0x8a2be2,
+    brown: 0xa52a2a,
+    burlywood: 0xdeb887,
+    cadetblue: 0x5f9ea0,
+    chartreuse: 0x7fff00,
+    chocolate: 0xd2691e,
+    coral: 0xff7f50,
+    cornflowerblue: 0x6495ed,
+    cornsilk: 0xfff8dc,
+    crimson: 0xdc143c,
+    cyan: 0x00ffff,
+    darkblue: 0x00008b,
+    darkcyan: 0x008b8b,
+    darkgoldenrod: 0xb8860b,
+    darkgray: 0xa9a9a9,
+    darkgreen: 0x006400,
+    darkgrey: 0xa9a9a9,
+    darkkhaki: 0xbdb76b,
+    darkmagenta: 0x8b008b,
+    darkolivegreen: 0x556b2f,
+    darkorange: 0xff8c00,
+    darkorchid: 0x9932cc,
+    darkred: 0x8b0000,
+    darksalmon: 0xe9967a,
+    darkseagreen: 0x8fbc8f,
+    darkslateblue: 0x483d8b,
+    darkslategray: 0x2f4f4f,
+    darkslategrey: 0x2f4f4f,
+    darkturquoise: 0x00ced1,
+    darkviolet: 0x9400d3,
+    deeppink: 0xff1493,
+    deepskyblue: 0x00bfff,
+    dimgray: 0x696969,
+    dimgrey: 0x696969,
+    dodgerblue: 0x1e90ff,
+    firebrick: 0xb22222,
+    floralwhite: 0xfffaf0,
+    forestgreen: 0x228b22,
+    fuchsia: 0xff00ff,
+    gainsboro: 0xdcdcdc,
+    ghostwhite: 0xf8f8ff,
+    gold: 0xffd700,
+    goldenrod: 0xdaa520,
+    gray: 0x808080,
+    green: 0x008000,
+    greenyellow: 0xadff2f,
+    grey: 0x808080,
+    honeydew: 0xf0fff0,
+    hotpink: 0xff69b4,
+    indianred: 0xcd5c5c,
+    indigo: 0x4b0082,
+    ivory: 0xfffff0,
+    khaki: 0xf0e68c,
+    lavender: 0xe6e6fa,
+    lavenderblush: 0xfff0f5,
+    lawngreen: 0x7cfc00,
+    lemonchiffon: 0xfffacd,
+    lightblue: 0xadd8e6,
+    lightcoral: 0xf08080,
+    lightcyan: 0xe0ffff,
+    lightgoldenrodyellow: 0xfafad2,
+    lightgray: 0xd3d3d3,
+    lightgreen: 0x90ee90,
+    lightgrey: 0xd3d3d3,
+    lightpink: 0xffb6c1,
+    lightsalmon: 0xffa07a,
+    lightseagreen: 0x20b2aa,
+    lightskyblue: 0x87cefa,
+    lightslategray: 0x778899,
+    lightslategrey: 0x778899,
+    lightsteelblue: 0xb0c4de,
+    lightyellow: 0xffffe0,
+    lime: 0x00ff00,
+    limegreen: 0x32cd32,
+    linen: 0xfaf0e6,
+    magenta: 0xff00ff,
+    maroon: 0x800000,
+    mediumaquamarine: 0x66cdaa,
+    mediumblue: 0x0000cd,
+    mediumorchid: 0xba55d3,
+    mediumpurple: 0x9370db,
+    mediumseagreen: 0x3cb371,
+    mediumslateblue: 0x7b68ee,
+    mediumspringgreen: 0x00fa9a,
+    mediumturquoise: 0x48d1cc,
+    mediumvioletred: 0xc71585,
+    midnightblue: 0x191970,
+    mintcream: 0xf5fffa,
+    mistyrose: 0xffe4e1,
+    moccasin: 0xffe4b5,
+    navajowhite: 0xffdead,
+    navy: 0x000080,
+    oldlace: 0xfdf5e6,
+    olive: 0x808000,
+    olivedrab: 0x6b8e23,
+    orange: 0xffa500,
+    orangered: 0xff4500,
+    orchid: 0xda70d6,
+    palegoldenrod: 0xeee8aa,
+    palegreen: 0x98fb98,
+    paleturquoise: 0xafeeee,
+    palevioletred: 0xdb7093,
+    papayawhip: 0xffefd5,
+    peachpuff: 0xffdab9,
+    peru: 0xcd853f,
+    pink: 0xffc0cb,
+    plum: 0xdda0dd,
+    powderblue: 0xb0e0e6,
+    purple: 0x800080,
+    rebeccapurple: 0x663399,
+    red: 0xff0000,
+    rosybrown: 0xbc8f8f,
+    royalblue: 0x4169e1,
+    saddlebrown: 0x8b4513,
+    salmon: 0xfa8072,
+    sandybrown: 0xf4a460,
+    seagreen: 0x2e8b57,
+    seashell: 0xfff5ee,
+    sienna: 0xa0522d,
+    silver: 0xc0c0c0,
+    skyblue: 0x87ceeb,
+    slateblue: 0x6a5acd,
+    slategray: 0x708090,
+    slategrey: 0x708090,
+    snow: 0xfffafa,
+    springgreen: 0x00ff7f,
+    steelblue: 0x4682b4,
+    tan: 0xd2b48c,
+    teal: 0x008080,
+    thistle: 0xd8bfd8,
+    tomato: 0xff6347,
+    transparent: 0x000000,
+    turquoise: 0x40e0d0,
+    violet: 0xee82ee,
+    wheat: 0xf5deb3,
+    white: 0xffffff,
+    whitesmoke: 0xf5f5f5,
+    yellow: 0xffff00,
+    yellowgreen: 0x9acd32
+});
\ No newline at end of file
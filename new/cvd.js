@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Simulates color vision deficiencies. Simulations operate on linear sRGB,
+ * then return gamma sRGB. Protanopia and deuteranopia use the matrices of
+ * Vienot, Brettel and Mollon (1999); tritanopia uses the two half-plane
+ * matrices of Brettel, Vienot and Mollon (1997). Coefficients are from
+ * DaltonLens, https://daltonlens.org/ . Severity in [0.0, 1.0] mixes between
+ * the original color and the dichromat's. Results are clamped to the gamut.
+ */
+class Cvd {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Simulates achromatopsia, or total color blindness, by replacing the
+     * color with its relative luminance.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [severity=1.0] severity
+     * @returns the simulated color
+     */
+    static achromatopsia (o, severity = 1.0) {
+        const l = Rgb.sRgbGammaToLinear(o);
+        const y = 0.21263900587151027 * l.r
+            + 0.715168678767756 * l.g
+            + 0.07219231536073371 * l.b;
+        return Cvd.mixInternal(l, y, y, y, severity);
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [severity=1.0] severity
+     * @returns the simulated color
+     */
+    static deuteranopia (o, severity = 1.0) {
+        const l = Rgb.sRgbGammaToLinear(o);
+        return Cvd.mixInternal(l,
+            0.29275 * l.r + 0.70725 * l.g,
+            0.29275 * l.r + 0.70725 * l.g,
+            -0.02234 * l.r + 0.02234 * l.g + l.b,
+            severity);
+    }
+
+    /**
+     * Finds the least difference between any pair of colors in a palette,
+     * with and without each simulation. Colors are converted to CIE LAB
+     * before they are compared. Returns an object keyed by simulation name,
+     * 'none', 'protanopia', 'deuteranopia', 'tritanopia' and 'achromatopsia'.
+     * Each entry holds the difference and the indices of the pair. When the
+     * palette has fewer than two colors, the difference is zero and the
+     * indices are -1.
+     *
+     * @param {Rgb[]} palette gamma sRGB colors
+     * @param {number} [severity=1.0] severity
+     * @param {function} [deltaE=Lab.deltaE2000] color difference
+     * @returns the report
+     */
+    static minDeltaE (palette, severity = 1.0, deltaE = Lab.deltaE2000) {
+        const sims = {
+            none: (o) => o,
+            protanopia: Cvd.protanopia,
+            deuteranopia: Cvd.deuteranopia,
+            tritanopia: Cvd.tritanopia,
+            achromatopsia: Cvd.achromatopsia
+        };
+
+        const len = palette.length;
+        const report = {};
+        for (const name in sims) {
+            const sim = sims[name];
+            const labs = palette.map(
+                (o) => Rgb.sRgbToCieLab(sim(o, severity)));
+
+            let minDiff = len > 1 ? Number.MAX_VALUE : 0.0;
+            let iMin = -1;
+            let jMin = -1;
+            for (let i = 0; i < len; ++i) {
+                for (let j = i + 1; j < len; ++j) {
+                    const diff = deltaE(labs[i], labs[j]);
+                    if (diff < minDiff) {
+                        minDiff = diff;
+                        iMin = i;
+                        jMin = j;
+                    }
+                }
+            }
+
+            report[name] = { deltaE: minDiff, i: iMin, j: jMin };
+        }
+        return report;
+    }
+
+    /**
+     * @param {Rgb} l linear sRGB color
+     * @param {number} r simulated red
+     * @param {number} g simulated green
+     * @param {number} b simulated blue
+     * @param {number} severity severity
+     * @returns the gamma sRGB color
+     */
+    static mixInternal (l, r, g, b, severity) {
+        const t = Math.min(Math.max(severity, 0.0), 1.0);
+        return Rgb.clamp(Rgb.sRgbLinearToGamma(Rgb.mix(l,
+            new Rgb(r, g, b, l.alpha), t)));
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [severity=1.0] severity
+     * @returns the simulated color
+     */
+    static protanopia (o, severity = 1.0) {
+        const l = Rgb.sRgbGammaToLinear(o);
+        return Cvd.mixInternal(l,
+            0.11238 * l.r + 0.88762 * l.g,
+            0.11238 * l.r + 0.88762 * l.g,
+            0.00401 * l.r - 0.00401 * l.g + l.b,
+            severity);
+    }
+
+    /**
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [severity=1.0] severity
+     * @returns the simulated color
+     */
+    static tritanopia (o, severity = 1.0) {
+        const l = Rgb.sRgbGammaToLinear(o);
+        const dot = 0.03901 * l.r - 0.02788 * l.g - 0.01113 * l.b;
+        if (dot >= 0.0) {
+            return Cvd.mixInternal(l,
+                1.01277 * l.r + 0.13548 * l.g - 0.14826 * l.b,
+                -0.01243 * l.r + 0.86812 * l.g + 0.14431 * l.b,
+                0.07589 * l.r + 0.805 * l.g + 0.11911 * l.b,
+                severity);
+        }
+        return Cvd.mixInternal(l,
+            0.93678 * l.r + 0.18979 * l.g - 0.12657 * l.b,
+            0.06154 * l.r + 0.81526 * l.g + 0.1232 * l.b,
+            -0.37562 * l.r + 1.12767 * l.g + 0.24796 * l.b,
+            severity);
+    }
+}
\ No newline at end of file
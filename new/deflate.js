@@ -0,0 +1,732 @@
+'use strict';
+
+/**
+ * Compresses and decompresses data in the DEFLATE format, RFC 1951, and its
+ * zlib wrapper, RFC 1950, as used by PNG. Compression finds repeated strings
+ * with hash chains, then codes each block with whichever of stored, fixed
+ * or dynamic Huffman codes is smallest. Decompression returns null when the
+ * data is malformed or truncated. Input may be an ArrayBuffer or Uint8Array;
+ * output is a Uint8Array.
+ */
+class Deflate {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Finds the Adler-32 checksum of bytes, as used by zlib.
+     *
+     * @param {Uint8Array} bytes bytes
+     * @param {number} [adler=1] running checksum
+     * @returns the checksum
+     */
+    static adler32 (bytes, adler = 1) {
+        let a = adler & 0xffff;
+        let b = (adler >>> 16) & 0xffff;
+        const len = bytes.length;
+        let i = 0;
+        while (i < len) {
+            const end = Math.min(i + 3800, len);
+            for (; i < end; ++i) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return (b << 16 | a) >>> 0;
+    }
+
+    /**
+     * Assigns canonical Huffman codes to code lengths. Codes are bit
+     * reversed, as DEFLATE writes them least significant bit first.
+     *
+     * @param {Uint8Array} lens code lengths
+     * @returns the codes
+     */
+    static codesInternal (lens) {
+        const counts = new Uint16Array(16);
+        const len = lens.length;
+        for (let i = 0; i < len; ++i) { ++counts[lens[i]]; }
+        counts[0] = 0;
+
+        const next = new Uint16Array(16);
+        let code = 0;
+        for (let b = 1; b < 16; ++b) {
+            code = (code + counts[b - 1]) << 1;
+            next[b] = code;
+        }
+
+        const codes = new Uint16Array(len);
+        for (let i = 0; i < len; ++i) {
+            const b = lens[i];
+            if (b === 0) { continue; }
+            let c = next[b]++;
+            let r = 0;
+            for (let j = 0; j < b; ++j) {
+                r = r << 1 | c & 1;
+                c >>>= 1;
+            }
+            codes[i] = r;
+        }
+        return codes;
+    }
+
+    /**
+     * Compresses bytes with a zlib header and Adler-32 trailer.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer data
+     * @param {number} [effort=128] maximum hash chain length
+     * @returns the compressed data
+     */
+    static compress (buffer, effort = 128) {
+        const bytes = buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+        const raw = Deflate.deflate(bytes, effort);
+        const adler = Deflate.adler32(bytes);
+        const out = new Uint8Array(raw.length + 6);
+        out[0] = 0x78;
+        out[1] = 0x9c;
+        out.set(raw, 2);
+        const j = raw.length + 2;
+        out[j] = adler >>> 24;
+        out[j + 1] = adler >>> 16 & 0xff;
+        out[j + 2] = adler >>> 8 & 0xff;
+        out[j + 3] = adler & 0xff;
+        return out;
+    }
+
+    /**
+     * Decompresses bytes with a zlib header and Adler-32 trailer. Returns
+     * null if the header or checksum is invalid.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer compressed data
+     * @returns the data
+     */
+    static decompress (buffer) {
+        const bytes = buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+        if (bytes.length < 6) { return null; }
+        const cmf = bytes[0];
+        const flg = bytes[1];
+        if ((cmf & 0x0f) !== 8 || (cmf << 8 | flg) % 31 !== 0
+            || (flg & 0x20) !== 0) {
+            return null;
+        }
+
+        const result = Deflate.inflateInternal(bytes, 2);
+        if (result === null) { return null; }
+        const data = result.data;
+        const j = result.end;
+        if (j + 4 > bytes.length) { return null; }
+        const adler = (bytes[j] << 24 | bytes[j + 1] << 16
+            | bytes[j + 2] << 8 | bytes[j + 3]) >>> 0;
+        return adler === Deflate.adler32(data) ? data : null;
+    }
+
+    /**
+     * Compresses bytes to a raw DEFLATE stream. Greater effort searches
+     * longer hash chains for matches, which is slower.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer data
+     * @param {number} [effort=128] maximum hash chain length
+     * @returns the compressed data
+     */
+    static deflate (buffer, effort = 128) {
+        const src = buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+        const len = src.length;
+
+        let out = new Uint8Array(Math.max(len >> 1, 1024));
+        let outLen = 0;
+        let bitBuf = 0;
+        let bitCnt = 0;
+        const put = (value, n) => {
+            bitBuf |= value << bitCnt;
+            bitCnt += n;
+            while (bitCnt >= 8) {
+                if (outLen >= out.length) {
+                    const grown = new Uint8Array(out.length * 2);
+                    grown.set(out);
+                    out = grown;
+                }
+                out[outLen++] = bitBuf & 0xff;
+                bitBuf >>>= 8;
+                bitCnt -= 8;
+            }
+        };
+
+        const align = () => {
+            if (bitCnt > 0) { put(0, 8 - bitCnt); }
+        };
+
+        const blockSize = 16384;
+        const lits = new Uint16Array(blockSize);
+        const dists = new Uint16Array(blockSize);
+        let count = 0;
+        let blockStart = 0;
+
+        const mask = 0x7fff;
+        const head = new Int32Array(mask + 1).fill(-1);
+        const prev = new Int32Array(mask + 1).fill(-1);
+        const hash = (i) => (src[i] << 10 ^ src[i + 1] << 5 ^ src[i + 2])
+            & mask;
+        const insert = (i) => {
+            const h = hash(i);
+            prev[i & mask] = head[h];
+            head[h] = i;
+        };
+
+        let i = 0;
+        while (i < len) {
+            let best = 0;
+            let bestDist = 0;
+            if (i + 2 < len) {
+                const maxLen = Math.min(258, len - i);
+                let cand = head[hash(i)];
+                let chain = effort;
+                while (cand >= 0 && i - cand <= 32768 && chain-- > 0) {
+                    if (src[cand + best] === src[i + best]) {
+                        let l = 0;
+                        while (l < maxLen && src[cand + l] === src[i + l]) {
+                            ++l;
+                        }
+                        if (l > best) {
+                            best = l;
+                            bestDist = i - cand;
+                            if (l >= maxLen) { break; }
+                        }
+                    }
+                    const next = prev[cand & mask];
+                    if (next >= cand) { break; }
+                    cand = next;
+                }
+                insert(i);
+            }
+
+            if (best >= 3) {
+                lits[count] = best;
+                dists[count] = bestDist;
+                const end = Math.min(i + best, len - 2);
+                for (let k = i + 1; k < end; ++k) { insert(k); }
+                i += best;
+            } else {
+                lits[count] = src[i];
+                dists[count] = 0;
+                ++i;
+            }
+
+            if (++count >= blockSize || i >= len) {
+                Deflate.writeBlockInternal(
+                    put, align, lits, dists, count,
+                    src.subarray(blockStart, i), i >= len);
+                count = 0;
+                blockStart = i;
+            }
+        }
+
+        if (len === 0) {
+            Deflate.writeBlockInternal(
+                put, align, lits, dists, 0, src, true);
+        }
+        align();
+        return out.slice(0, outLen);
+    }
+
+    /**
+     * Decompresses a raw DEFLATE stream. Returns null if the stream is
+     * malformed.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer compressed data
+     * @returns the data
+     */
+    static inflate (buffer) {
+        const bytes = buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+        const result = Deflate.inflateInternal(bytes, 0);
+        return result === null ? null : result.data;
+    }
+
+    /**
+     * Decompresses a raw DEFLATE stream beginning at an offset. Returns an
+     * object with the 'data' and the byte index of the stream's 'end', or
+     * null if the stream is malformed.
+     *
+     * @param {Uint8Array} src compressed data
+     * @param {number} start offset
+     * @returns the result
+     */
+    static inflateInternal (src, start) {
+        const srcLen = src.length;
+        let pos = start;
+        let bitBuf = 0;
+        let bitCnt = 0;
+        let overrun = false;
+        const bits = (n) => {
+            while (bitCnt < n) {
+                if (pos < srcLen) {
+                    bitBuf |= src[pos] << bitCnt;
+                } else {
+                    overrun = true;
+                }
+                ++pos;
+                bitCnt += 8;
+            }
+            const v = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCnt -= n;
+            return v;
+        };
+        const decode = (t) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let b = 1; b < 16; ++b) {
+                code |= bits(1);
+                const n = t.counts[b];
+                if (code - n < first) {
+                    return t.symbols[index + code - first];
+                }
+                index += n;
+                first = (first + n) << 1;
+                code <<= 1;
+            }
+            return -1;
+        };
+
+        let out = new Uint8Array(Math.max(srcLen * 4, 1024));
+        let outLen = 0;
+        const ensure = (n) => {
+            if (outLen + n > out.length) {
+                const grown = new Uint8Array(
+                    Math.max(out.length * 2, outLen + n));
+                grown.set(out);
+                out = grown;
+            }
+        };
+
+        const lb = Deflate.LENGTH_BASE;
+        const le = Deflate.LENGTH_EXTRA;
+        const db = Deflate.DIST_BASE;
+        const de = Deflate.DIST_EXTRA;
+
+        let last = 0;
+        while (last === 0) {
+            last = bits(1);
+            const type = bits(2);
+            if (type === 0) {
+                bitBuf = 0;
+                bitCnt = 0;
+                if (pos + 4 > srcLen) { return null; }
+                const n = src[pos] | src[pos + 1] << 8;
+                const nc = src[pos + 2] | src[pos + 3] << 8;
+                pos += 4;
+                if ((n ^ 0xffff) !== nc || pos + n > srcLen) { return null; }
+                ensure(n);
+                out.set(src.subarray(pos, pos + n), outLen);
+                outLen += n;
+                pos += n;
+                continue;
+            }
+
+            let lit = Deflate.FIXED_LIT;
+            let dist = Deflate.FIXED_DIST;
+            if (type === 2) {
+                const nlen = bits(5) + 257;
+                const ndist = bits(5) + 1;
+                const ncode = bits(4) + 4;
+                const clLens = new Uint8Array(19);
+                for (let k = 0; k < ncode; ++k) {
+                    clLens[Deflate.CL_ORDER[k]] = bits(3);
+                }
+                const cl = Deflate.tableInternal(clLens);
+                if (cl === null) { return null; }
+
+                const lens = new Uint8Array(nlen + ndist);
+                for (let k = 0; k < nlen + ndist;) {
+                    const sym = decode(cl);
+                    if (sym < 0 || overrun) { return null; }
+                    if (sym < 16) {
+                        lens[k++] = sym;
+                        continue;
+                    }
+                    let repeat = 0;
+                    let value = 0;
+                    if (sym === 16) {
+                        if (k === 0) { return null; }
+                        value = lens[k - 1];
+                        repeat = 3 + bits(2);
+                    } else if (sym === 17) {
+                        repeat = 3 + bits(3);
+                    } else {
+                        repeat = 11 + bits(7);
+                    }
+                    if (k + repeat > nlen + ndist) { return null; }
+                    lens.fill(value, k, k + repeat);
+                    k += repeat;
+                }
+
+                lit = Deflate.tableInternal(lens.subarray(0, nlen));
+                dist = Deflate.tableInternal(lens.subarray(nlen));
+                if (lit === null || dist === null) { return null; }
+            } else if (type !== 1) {
+                return null;
+            }
+
+            for (;;) {
+                const sym = decode(lit);
+                if (sym < 0 || overrun) { return null; }
+                if (sym < 256) {
+                    ensure(1);
+                    out[outLen++] = sym;
+                } else if (sym === 256) {
+                    break;
+                } else {
+                    const li = sym - 257;
+                    if (li >= 29) { return null; }
+                    const n = lb[li] + bits(le[li]);
+                    const di = decode(dist);
+                    if (di < 0 || di >= 30) { return null; }
+                    const d = db[di] + bits(de[di]);
+                    if (d > outLen) { return null; }
+                    ensure(n);
+                    for (let k = 0; k < n; ++k) {
+                        out[outLen] = out[outLen - d];
+                        ++outLen;
+                    }
+                }
+            }
+        }
+
+        if (overrun) { return null; }
+        return { data: out.slice(0, outLen), end: pos - (bitCnt >> 3) };
+    }
+
+    /**
+     * Finds code lengths for symbol frequencies with Huffman's algorithm,
+     * then limits them to a maximum length.
+     *
+     * @param {Uint32Array} freqs frequencies
+     * @param {number} maxLen maximum code length
+     * @returns the code lengths
+     */
+    static lengthsInternal (freqs, maxLen) {
+        const n = freqs.length;
+        const lens = new Uint8Array(n);
+        const syms = [];
+        for (let i = 0; i < n; ++i) {
+            if (freqs[i] > 0) { syms.push(i); }
+        }
+        const m = syms.length;
+        if (m === 0) { return lens; }
+        if (m === 1) {
+            lens[syms[0]] = 1;
+            return lens;
+        }
+        syms.sort((a, b) => freqs[a] - freqs[b] || a - b);
+
+        const weights = new Float64Array(m + m - 1);
+        const parents = new Int32Array(m + m - 1);
+        for (let i = 0; i < m; ++i) { weights[i] = freqs[syms[i]]; }
+        let leaf = 0;
+        let node = m;
+        const take = (made) => {
+            if (leaf < m && (node >= made || weights[leaf] <= weights[node])) {
+                return leaf++;
+            }
+            return node++;
+        };
+        for (let made = m; made < m + m - 1; ++made) {
+            const a = take(made);
+            const b = take(made);
+            weights[made] = weights[a] + weights[b];
+            parents[a] = made;
+            parents[b] = made;
+        }
+
+        const depths = new Uint16Array(m + m - 1);
+        for (let i = m + m - 3; i >= 0; --i) {
+            depths[i] = depths[parents[i]] + 1;
+        }
+
+        const counts = new Uint32Array(maxLen + 1);
+        for (let i = 0; i < m; ++i) {
+            ++counts[Math.min(depths[i], maxLen)];
+        }
+        let total = 0;
+        for (let b = 1; b <= maxLen; ++b) {
+            total += counts[b] * Math.pow(2, maxLen - b);
+        }
+        const full = Math.pow(2, maxLen);
+        while (total > full) {
+            --counts[maxLen];
+            for (let b = maxLen - 1; b > 0; --b) {
+                if (counts[b] > 0) {
+                    --counts[b];
+                    counts[b + 1] += 2;
+                    break;
+                }
+            }
+            --total;
+        }
+
+        let k = 0;
+        for (let b = maxLen; b > 0; --b) {
+            for (let j = 0; j < counts[b]; ++j) {
+                lens[syms[k++]] = b;
+            }
+        }
+        return lens;
+    }
+
+    /**
+     * Builds a decoding table of symbol counts per code length and symbols
+     * in canonical order. Returns null if the lengths are over-subscribed.
+     *
+     * @param {Uint8Array} lens code lengths
+     * @returns the table
+     */
+    static tableInternal (lens) {
+        const counts = new Uint16Array(16);
+        const len = lens.length;
+        for (let i = 0; i < len; ++i) { ++counts[lens[i]]; }
+
+        let left = 1;
+        for (let b = 1; b < 16; ++b) {
+            left = (left << 1) - counts[b];
+            if (left < 0) { return null; }
+        }
+
+        const offsets = new Uint16Array(16);
+        for (let b = 1; b < 15; ++b) {
+            offsets[b + 1] = offsets[b] + counts[b];
+        }
+        const symbols = new Uint16Array(len);
+        for (let i = 0; i < len; ++i) {
+            if (lens[i] !== 0) { symbols[offsets[lens[i]]++] = i; }
+        }
+        return { counts: counts, symbols: symbols };
+    }
+
+    /**
+     * Writes a block of literals and matches with whichever coding is
+     * smallest: stored, fixed Huffman or dynamic Huffman.
+     *
+     * @param {function} put bit writer
+     * @param {function} align pads the writer to a byte boundary
+     * @param {Uint16Array} lits literals and match lengths
+     * @param {Uint16Array} dists match distances, zero for literals
+     * @param {number} count number of symbols
+     * @param {Uint8Array} raw uncompressed bytes of the block
+     * @param {boolean} final is last block
+     */
+    static writeBlockInternal (put, align, lits, dists, count, raw, final) {
+        const lb = Deflate.LENGTH_BASE;
+        const le = Deflate.LENGTH_EXTRA;
+        const db = Deflate.DIST_BASE;
+        const de = Deflate.DIST_EXTRA;
+
+        const litSyms = new Uint16Array(count);
+        const distSyms = new Uint8Array(count);
+        const litFreqs = new Uint32Array(286);
+        const distFreqs = new Uint32Array(30);
+        let extraBits = 0;
+        for (let i = 0; i < count; ++i) {
+            if (dists[i] === 0) {
+                litSyms[i] = lits[i];
+            } else {
+                let li = 28;
+                while (lb[li] > lits[i]) { --li; }
+                let di = 29;
+                while (db[di] > dists[i]) { --di; }
+                litSyms[i] = 257 + li;
+                distSyms[i] = di;
+                ++distFreqs[di];
+                extraBits += le[li] + de[di];
+            }
+            ++litFreqs[litSyms[i]];
+        }
+        litFreqs[256] = 1;
+
+        const litLens = Deflate.lengthsInternal(litFreqs, 15);
+        const distLens = Deflate.lengthsInternal(distFreqs, 15);
+        if (distLens.every((x) => x === 0)) { distLens[0] = 1; }
+
+        let nlen = 286;
+        while (nlen > 257 && litLens[nlen - 1] === 0) { --nlen; }
+        let ndist = 30;
+        while (ndist > 1 && distLens[ndist - 1] === 0) { --ndist; }
+
+        const all = new Uint8Array(nlen + ndist);
+        all.set(litLens.subarray(0, nlen));
+        all.set(distLens.subarray(0, ndist), nlen);
+        const clSyms = [];
+        const clFreqs = new Uint32Array(19);
+        const allLen = all.length;
+        for (let i = 0; i < allLen;) {
+            const v = all[i];
+            let run = 1;
+            while (i + run < allLen && all[i + run] === v) { ++run; }
+            if (v === 0 && run >= 3) {
+                const r = Math.min(run, 138);
+                if (r >= 11) {
+                    clSyms.push(18, r - 11);
+                    ++clFreqs[18];
+                } else {
+                    clSyms.push(17, r - 3);
+                    ++clFreqs[17];
+                }
+                i += r;
+            } else if (v !== 0 && run >= 4) {
+                const r = Math.min(run - 1, 6);
+                clSyms.push(v, 0, 16, r - 3);
+                ++clFreqs[v];
+                ++clFreqs[16];
+                i += r + 1;
+            } else {
+                clSyms.push(v, 0);
+                ++clFreqs[v];
+                ++i;
+            }
+        }
+        const clLens = Deflate.lengthsInternal(clFreqs, 7);
+        let ncode = 19;
+        while (ncode > 4 && clLens[Deflate.CL_ORDER[ncode - 1]] === 0) {
+            --ncode;
+        }
+
+        const fixedLit = Deflate.FIXED_LIT_LENS;
+        let fixedCost = 3 + extraBits + fixedLit[256];
+        let dynCost = 3 + 14 + ncode * 3 + extraBits + litLens[256];
+        for (let i = 0; i < 286; ++i) {
+            fixedCost += litFreqs[i] * fixedLit[i];
+            dynCost += litFreqs[i] * litLens[i];
+        }
+        fixedCost -= fixedLit[256];
+        dynCost -= litLens[256];
+        for (let i = 0; i < 30; ++i) {
+            fixedCost += distFreqs[i] * 5;
+            dynCost += distFreqs[i] * distLens[i];
+        }
+        const extra = [2, 3, 7];
+        for (let i = 0; i < 19; ++i) {
+            dynCost += clFreqs[i] * (clLens[i] + (i >= 16 ? extra[i - 16] : 0));
+        }
+        const storedCost = raw.length <= 65535 ?
+            3 + 7 + 32 + raw.length * 8 :
+            Number.MAX_VALUE;
+
+        const last = final ? 1 : 0;
+        if (storedCost <= fixedCost && storedCost <= dynCost) {
+            put(last, 1);
+            put(0, 2);
+            align();
+            const n = raw.length;
+            put(n & 0xffff, 16);
+            put(~n & 0xffff, 16);
+            for (let i = 0; i < n; ++i) { put(raw[i], 8); }
+            return;
+        }
+
+        let litTable = litLens;
+        let distTable = distLens;
+        if (fixedCost <= dynCost) {
+            put(last, 1);
+            put(1, 2);
+            litTable = fixedLit;
+            distTable = Deflate.FIXED_DIST_LENS;
+        } else {
+            put(last, 1);
+            put(2, 2);
+            put(nlen - 257, 5);
+            put(ndist - 1, 5);
+            put(ncode - 4, 4);
+            for (let i = 0; i < ncode; ++i) {
+                put(clLens[Deflate.CL_ORDER[i]], 3);
+            }
+            const clCodes = Deflate.codesInternal(clLens);
+            const clLen = clSyms.length;
+            for (let i = 0; i < clLen; i += 2) {
+                const sym = clSyms[i];
+                put(clCodes[sym], clLens[sym]);
+                if (sym >= 16) { put(clSyms[i + 1], extra[sym - 16]); }
+            }
+        }
+
+        const litCodes = Deflate.codesInternal(litTable);
+        const distCodes = Deflate.codesInternal(distTable);
+        for (let i = 0; i < count; ++i) {
+            const sym = litSyms[i];
+            put(litCodes[sym], litTable[sym]);
+            if (sym > 256) {
+                const li = sym - 257;
+                if (le[li] > 0) { put(lits[i] - lb[li], le[li]); }
+                const di = distSyms[i];
+                put(distCodes[di], distTable[di]);
+                if (de[di] > 0) { put(dists[i] - db[di], de[di]); }
+            }
+        }
+        put(litCodes[256], litTable[256]);
+    }
+}
+
+/**
+ * Base lengths for length codes 257 to 285.
+ */
+Deflate.LENGTH_BASE = Object.freeze([
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+]);
+
+/**
+ * Extra bits for length codes 257 to 285.
+ */
+Deflate.LENGTH_EXTRA = Object.freeze([
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+]);
+
+/**
+ * Base distances for distance codes 0 to 29.
+ */
+Deflate.DIST_BASE = Object.freeze([
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+    8193, 12289, 16385, 24577
+]);
+
+/**
+ * Extra bits for distance codes 0 to 29.
+ */
+Deflate.DIST_EXTRA = Object.freeze([
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+]);
+
+/**
+ * The order in which code length code lengths are stored.
+ */
+Deflate.CL_ORDER = Object.freeze([
+    16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15
+]);
+
+/**
+ * Code lengths of the fixed literal and length code.
+ */
+Deflate.FIXED_LIT_LENS = Object.freeze(Array.from({ length: 288 },
+    (_, i) => i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8));
+
+/**
+ * Code lengths of the fixed distance code.
+ */
+Deflate.FIXED_DIST_LENS = Object.freeze(new Array(30).fill(5));
+
+/**
+ * Decoding table of the fixed literal and length code.
+ */
+Deflate.FIXED_LIT = Deflate.tableInternal(Deflate.FIXED_LIT_LENS);
+
+/**
+ * Decoding table of the fixed distance code.
+ */
+Deflate.FIXED_DIST = Deflate.tableInternal(Deflate.FIXED_DIST_LENS);
\ No newline at end of file
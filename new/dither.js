@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * Reduces a pixel buffer, such as the data of a canvas ImageData, an RGBA
+ * Uint8ClampedArray with 4 bytes per pixel, to a palette of gamma sRGB
+ * colors. Ordered dithering offsets each pixel by a threshold from a tiled
+ * matrix, Bayer or blue noise; error diffusion spreads the difference
+ * between each pixel and its nearest palette color to unvisited neighbors.
+ * The nearest color is searched for with a Palette, in any of its spaces:
+ * 'srgb', 'srgb-linear', 'lab' or 'oklab'. Error is diffused in the same
+ * space. Alpha is copied from the source unchanged.
+ */
+class Dither {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Creates a Bayer threshold matrix. The size is rounded to a power of
+     * two in [2, 16]. Returns a flat array of size * size thresholds in
+     * (0.0, 1.0), by row.
+     *
+     * @param {number} [size=4] matrix size
+     * @returns the matrix
+     */
+    static bayer (size = 4) {
+        const log = Math.min(Math.max(Math.round(Math.log2(size)), 1), 4);
+        let n = 1;
+        let m = [0];
+        for (let k = 0; k < log; ++k) {
+            const n2 = n + n;
+            const next = new Array(n2 * n2);
+            for (let y = 0; y < n; ++y) {
+                for (let x = 0; x < n; ++x) {
+                    const v = 4 * m[y * n + x];
+                    next[y * n2 + x] = v;
+                    next[y * n2 + x + n] = v + 2;
+                    next[(y + n) * n2 + x] = v + 3;
+                    next[(y + n) * n2 + x + n] = v + 1;
+                }
+            }
+            n = n2;
+            m = next;
+        }
+
+        const len = n * n;
+        const out = new Float32Array(len);
+        for (let i = 0; i < len; ++i) {
+            out[i] = (m[i] + 0.5) / len;
+        }
+        return out;
+    }
+
+    /**
+     * Creates a blue noise threshold matrix with Ulichney's void and cluster
+     * method (1993). The matrix tiles without seams. It is deterministic for
+     * a size, but slow to make at large sizes, so it should be reused.
+     * Returns a flat array of size * size thresholds in (0.0, 1.0), by row.
+     *
+     * @param {number} [size=64] matrix size
+     * @param {number} [sigma=1.5] Gaussian filter deviation
+     * @returns the matrix
+     */
+    static blueNoise (size = 64, sigma = 1.5) {
+        const s = Math.max(Math.floor(size), 2);
+        const len = s * s;
+
+        const kernel = new Float64Array(len);
+        const denom = -0.5 / (sigma * sigma);
+        for (let y = 0; y < s; ++y) {
+            const dy = Math.min(y, s - y);
+            for (let x = 0; x < s; ++x) {
+                const dx = Math.min(x, s - x);
+                kernel[y * s + x] = Math.exp((dx * dx + dy * dy) * denom);
+            }
+        }
+
+        const pattern = new Uint8Array(len);
+        const energy = new Float64Array(len);
+        const toggle = (p, sign) => {
+            pattern[p] = sign > 0.0 ? 1 : 0;
+            const px = p % s;
+            const py = (p / s) | 0;
+            for (let y = 0; y < s; ++y) {
+                const row = ((y - py + s) % s) * s;
+                for (let x = 0; x < s; ++x) {
+                    energy[y * s + x] += sign * kernel[row + (x - px + s) % s];
+                }
+            }
+        };
+        const find = (target, cmp) => {
+            let best = -1;
+            for (let i = 0; i < len; ++i) {
+                if (pattern[i] === target
+                    && (best < 0 || cmp(energy[i], energy[best]))) {
+                    best = i;
+                }
+            }
+            return best;
+        };
+        const tightest = () => find(1, (a, b) => a > b);
+        const largestVoid = () => find(0, (a, b) => a < b);
+
+        let seed = 0x2f6b;
+        const ones = Math.max(Math.floor(len * 0.1), 1);
+        for (let placed = 0; placed < ones;) {
+            seed = Math.imul(seed, 1103515245) + 12345 & 0x7fffffff;
+            const p = seed % len;
+            if (pattern[p] === 0) {
+                toggle(p, 1.0);
+                ++placed;
+            }
+        }
+
+        for (let i = 0; i < len; ++i) {
+            const cluster = tightest();
+            toggle(cluster, -1.0);
+            const gap = largestVoid();
+            toggle(gap, 1.0);
+            if (gap === cluster) { break; }
+        }
+
+        const ranks = new Float32Array(len);
+        const initial = pattern.slice();
+        const initialEnergy = energy.slice();
+        for (let rank = ones - 1; rank >= 0; --rank) {
+            const cluster = tightest();
+            toggle(cluster, -1.0);
+            ranks[cluster] = rank;
+        }
+
+        pattern.set(initial);
+        energy.set(initialEnergy);
+        for (let rank = ones; rank < len; ++rank) {
+            const gap = largestVoid();
+            toggle(gap, 1.0);
+            ranks[gap] = rank;
+        }
+
+        for (let i = 0; i < len; ++i) {
+            ranks[i] = (ranks[i] + 0.5) / len;
+        }
+        return ranks;
+    }
+
+    /**
+     * @param {Rgb[]} palette palette
+     * @returns the palette's 8 bit channels
+     */
+    static bytesInternal (palette) {
+        const len = palette.length;
+        const bytes = new Uint8ClampedArray(len * 3);
+        for (let i = 0; i < len; ++i) {
+            bytes[i * 3] = Rgb.getRInt(palette[i], 8);
+            bytes[i * 3 + 1] = Rgb.getGInt(palette[i], 8);
+            bytes[i * 3 + 2] = Rgb.getBInt(palette[i], 8);
+        }
+        return bytes;
+    }
+
+    /**
+     * Dithers a pixel buffer by error diffusion. The kernel is an array of
+     * [dx, dy, weight] entries, such as Dither.FLOYD_STEINBERG. With
+     * serpentine scanning, odd rows are visited right to left, and the
+     * kernel is mirrored to match. Returns the output buffer.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} width image width
+     * @param {number} height image height
+     * @param {Rgb[]} palette palette
+     * @param {number[][]} [kernel=Dither.FLOYD_STEINBERG] diffusion kernel
+     * @param {string} [space='srgb'] search space
+     * @param {boolean} [serpentine=true] alternate row direction
+     * @param {Uint8ClampedArray} [out] output buffer
+     * @returns the output buffer
+     */
+    static diffuse (
+        pixels, width, height, palette,
+        kernel = Dither.FLOYD_STEINBERG,
+        space = 'srgb',
+        serpentine = true,
+        out = new Uint8ClampedArray(pixels.length)) {
+
+        if (palette.length < 1) { return out; }
+        const pal = new Palette(palette, space);
+        const bytes = Dither.bytesInternal(pal.colors);
+        const coords = pal.colors.map((c) =>
+            Palette.coordsInternal(c, pal.space));
+
+        const cache = new Map();
+        const err = new Float32Array(width * height * 3);
+        const kLen = kernel.length;
+        for (let y = 0; y < height; ++y) {
+            const flip = serpentine && (y & 1) === 1;
+            for (let k = 0; k < width; ++k) {
+                const x = flip ? width - 1 - k : k;
+                const p = y * width + x;
+                const i = p * 4;
+                const e = p * 3;
+
+                const key = pixels[i] << 0x10
+                    | pixels[i + 1] << 0x08
+                    | pixels[i + 2];
+                let c = cache.get(key);
+                if (c === undefined) {
+                    c = Palette.coordsInternal(new Rgb(
+                        pixels[i] / 255.0,
+                        pixels[i + 1] / 255.0,
+                        pixels[i + 2] / 255.0, 1.0), pal.space);
+                    cache.set(key, c);
+                }
+
+                const c0 = c[0] + err[e];
+                const c1 = c[1] + err[e + 1];
+                const c2 = c[2] + err[e + 2];
+                const m = pal.nearestInternal(c0, c1, c2);
+                const d0 = c0 - coords[m][0];
+                const d1 = c1 - coords[m][1];
+                const d2 = c2 - coords[m][2];
+
+                for (let j = 0; j < kLen; ++j) {
+                    const entry = kernel[j];
+                    const nx = x + (flip ? -entry[0] : entry[0]);
+                    const ny = y + entry[1];
+                    if (nx < 0 || nx >= width || ny >= height) { continue; }
+                    const w = entry[2];
+                    const ne = (ny * width + nx) * 3;
+                    err[ne] += d0 * w;
+                    err[ne + 1] += d1 * w;
+                    err[ne + 2] += d2 * w;
+                }
+
+                out[i] = bytes[m * 3];
+                out[i + 1] = bytes[m * 3 + 1];
+                out[i + 2] = bytes[m * 3 + 2];
+                out[i + 3] = pixels[i + 3];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Dithers a pixel buffer with a tiled threshold matrix, such as one made
+     * by Dither.bayer or Dither.blueNoise. Each pixel is offset in gamma
+     * sRGB by the spread times its threshold less one half, then replaced by
+     * its nearest palette color. By default, the spread is the distance
+     * between levels of a palette whose colors are spaced evenly in a cube.
+     * Returns the output buffer.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} width image width
+     * @param {number} height image height
+     * @param {Rgb[]} palette palette
+     * @param {Float32Array} [matrix=Dither.bayer(4)] threshold matrix
+     * @param {string} [space='srgb'] search space
+     * @param {number} [spread] threshold spread
+     * @param {Uint8ClampedArray} [out] output buffer
+     * @returns the output buffer
+     */
+    static ordered (
+        pixels, width, height, palette,
+        matrix = Dither.bayer(4),
+        space = 'srgb',
+        spread = 1.0 / Math.max(Math.cbrt(palette.length) - 1.0, 1.0),
+        out = new Uint8ClampedArray(pixels.length)) {
+
+        if (palette.length < 1) { return out; }
+        const pal = new Palette(palette, space);
+        const bytes = Dither.bytesInternal(pal.colors);
+
+        const size = Math.round(Math.sqrt(matrix.length));
+        for (let y = 0; y < height; ++y) {
+            const row = (y % size) * size;
+            for (let x = 0; x < width; ++x) {
+                const i = (y * width + x) * 4;
+                const offset = spread * (matrix[row + x % size] - 0.5);
+                const c = Palette.coordsInternal(new Rgb(
+                    Math.min(Math.max(pixels[i] / 255.0 + offset, 0.0), 1.0),
+                    Math.min(Math.max(
+                        pixels[i + 1] / 255.0 + offset, 0.0), 1.0),
+                    Math.min(Math.max(
+                        pixels[i + 2] / 255.0 + offset, 0.0), 1.0),
+                    1.0), pal.space);
+                const m = pal.nearestInternal(c[0], c[1], c[2]);
+
+                out[i] = bytes[m * 3];
+                out[i + 1] = bytes[m * 3 + 1];
+                out[i + 2] = bytes[m * 3 + 2];
+                out[i + 3] = pixels[i + 3];
+            }
+        }
+        return out;
+    }
+}
+
+/**
+ * Atkinson's error diffusion kernel. Only three quarters of the error is
+ * diffused, which preserves contrast at the cost of detail in highlights and
+ * shadows.
+ */
+Dither.ATKINSON = Object.freeze([
+    [1, 0, 1 / 8], [2, 0, 1 / 8],
+    [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+    [0, 2, 1 / 8]
+].map(Object.freeze));
+
+/**
+ * Floyd and Steinberg's error diffusion kernel (1976).
+ */
+Dither.FLOYD_STEINBERG = Object.freeze([
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]
+].map(Object.freeze));
+
+/**
+ * Jarvis, Judice and Ninke's error diffusion kernel (1976).
+ */
+Dither.JARVIS_JUDICE_NINKE = Object.freeze([
+    [1, 0, 7 / 48], [2, 0, 5 / 48],
+    [-2, 1, 3 / 48], [-1, 1, 5 / 48], [0, 1, 7 / 48],
+    [1, 1, 5 / 48], [2, 1, 3 / 48],
+    [-2, 2, 1 / 48], [-1, 2, 3 / 48], [0, 2, 5 / 48],
+    [1, 2, 3 / 48], [2, 2, 1 / 48]
+].map(Object.freeze));
+
+/**
+ * Sierra's three row error diffusion kernel.
+ */
+Dither.SIERRA = Object.freeze([
+    [1, 0, 5 / 32], [2, 0, 3 / 32],
+    [-2, 1, 2 / 32], [-1, 1, 4 / 32], [0, 1, 5 / 32],
+    [1, 1, 4 / 32], [2, 1, 2 / 32],
+    [-1, 2, 2 / 32], [0, 2, 3 / 32], [1, 2, 2 / 32]
+].map(Object.freeze));
\ No newline at end of file
@@ -0,0 +1,381 @@
+'use strict';
+
+/**
+ * Represents colors in the HSL cylindrical model of gamma sRGB: hue,
+ * saturation and lightness. All components, including hue, are expected to
+ * be in [0.0, 1.0]. Hue is periodic; red is at 0.0, green at 1/3 and blue at
+ * 2/3.
+ */
+class Hsl {
+    /**
+     * @param {number} [h=0.0] hue
+     * @param {number} [s=0.0] saturation
+     * @param {number} [l=0.0] lightness
+     * @param {number} [alpha=1.0] opacity
+     */
+    constructor (h = 0.0, s = 0.0, l = 0.0, alpha = 1.0) {
+        this._h = h;
+        this._s = s;
+        this._l = l;
+        this._alpha = alpha;
+
+        Object.freeze(this);
+    }
+
+    get h () { return this._h; }
+
+    get s () { return this._s; }
+
+    get l () { return this._l; }
+
+    get alpha () { return this._alpha; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @param {*} obj 
+     * @returns the evaluation
+     */
+    equals (obj) {
+        if (!obj) { return false; }
+        if (this === obj) { return true; }
+        if (obj.constructor.name !== this.constructor.name) {
+            return false;
+        }
+        return Hsl.eq(this, obj);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        if (precision >= 0 && precision < 21) {
+            return [
+                "{\"h\":", this._h.toFixed(precision),
+                ",\"s\":", this._s.toFixed(precision),
+                ",\"l\":", this._l.toFixed(precision),
+                ",\"alpha\":", this._alpha.toFixed(precision),
+                '}'
+            ].join('');
+        }
+
+        return [
+            "{\"h\":", Hsl.getH16(this),
+            ",\"s\":", Hsl.getS16(this),
+            ",\"l\":", Hsl.getL16(this),
+            ",\"alpha\":", Hsl.getAlpha16(this),
+            '}'
+        ].join('');
+    }
+
+    /**
+     * @param {Hsl} o left operand
+     * @param {Hsl} d right operand
+     * @returns the copy
+     */
+    static copyAlpha (o, d) {
+        return new Hsl(o.h, o.s, o.l, d.alpha);
+    }
+
+    /**
+     * @param {Hsl} o left operand
+     * @param {Hsl} d right operand
+     * @returns the copy
+     */
+    static copyHue (o, d) {
+        return new Hsl(d.h, o.s, o.l, o.alpha);
+    }
+
+    /**
+     * @param {Hsl} o left comparisand
+     * @param {Hsl} d right comparisand
+     * @returns the evaluation
+     */
+    static eq (o, d) {
+        return Hsl.eqAlpha(o, d)
+            && Hsl.eqLight(o, d)
+            && Hsl.eqSat(o, d)
+            && Hsl.eqHue(o, d);
+    }
+
+    /**
+     * @param {Hsl} o left comparisand
+     * @param {Hsl} d right comparisand
+     * @returns the evaluation
+     */
+    static eqAlpha (o, d) {
+        return Hsl.getAlpha16(o) === Hsl.getAlpha16(d);
+    }
+
+    /**
+     * @param {Hsl} o left comparisand
+     * @param {Hsl} d right comparisand
+     * @returns the evaluation
+     */
+    static eqHue (o, d) {
+        return Hsl.getH16(o) === Hsl.getH16(d);
+    }
+
+    /**
+     * @param {Hsl} o left comparisand
+     * @param {Hsl} d right comparisand
+     * @returns the evaluation
+     */
+    static eqLight (o, d) {
+        return Hsl.getL16(o) === Hsl.getL16(d);
+    }
+
+    /**
+     * @param {Hsl} o left comparisand
+     * @param {Hsl} d right comparisand
+     * @returns the evaluation
+     */
+    static eqSat (o, d) {
+        return Hsl.getS16(o) === Hsl.getS16(d);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [s=0] saturation
+     * @param {number} [l=0] lightness
+     * @param {number} [alpha=255] opacity
+     * @returns the conversion
+     */
+    static from8s (h = 0, s = 0, l = 0, alpha = 255) {
+        return new Hsl(
+            h / 255.0,
+            s / 255.0,
+            l / 255.0,
+            alpha / 255.0);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [s=0] saturation
+     * @param {number} [l=0] lightness
+     * @param {number} [alpha=65535] opacity
+     * @returns the conversion
+     */
+    static from16s (h = 0, s = 0, l = 0, alpha = 65535) {
+        return new Hsl(
+            h / 65535.0,
+            s / 65535.0,
+            l / 65535.0,
+            alpha / 65535.0);
+    }
+
+    /**
+     * Converts from gamma sRGB. When the color is gray, the hue is zero.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the conversion
+     */
+    static fromRgb (o) {
+        const mx = Math.max(o.r, o.g, o.b);
+        const mn = Math.min(o.r, o.g, o.b);
+        const light = (mx + mn) * 0.5;
+        const delta = mx - mn;
+
+        let sat = 0.0;
+        if (delta > 0.0 && light > 0.0 && light < 1.0) {
+            sat = delta / (1.0 - Math.abs(light + light - 1.0));
+        }
+        return new Hsl(Hsv.fromRgb(o).h, sat, light, o.alpha);
+    }
+
+    /**
+     * @param {number} i 32 bit integer
+     * @returns the conversion
+     */
+    static fromTHSL32 (i) {
+        return Hsl.from8s(
+            (i >> 0x10) & 0xff,
+            (i >> 0x08) & 0xff,
+            i & 0xff,
+            (i >> 0x18) & 0xff);
+    }
+
+    /**
+     * @param {BigInt} i 64 bit integer
+     * @returns the conversion
+     */
+    static fromTHSL64 (i) {
+        return Hsl.from16s(
+            Number((i >> 0x20n) & 0xffffn),
+            Number((i >> 0x10n) & 0xffffn),
+            Number(i & 0xffffn),
+            Number((i >> 0x30n) & 0xffffn));
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the hue as an unsigned 8 bit integer
+     */
+    static getH8 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the hue as an unsigned 16 bit integer
+     */
+    static getH16 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the saturation as an unsigned 8 bit integer
+     */
+    static getS8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.s, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the saturation as an unsigned 16 bit integer
+     */
+    static getS16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.s, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the lightness as an unsigned 8 bit integer
+     */
+    static getL8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.l, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the lightness as an unsigned 16 bit integer
+     */
+    static getL16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.l, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the alpha as an unsigned 8 bit integer
+     */
+    static getAlpha8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the alpha as an unsigned 16 bit integer
+     */
+    static getAlpha16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the gray color
+     */
+    static gray (o) {
+        return new Hsl(o.h, 0.0, o.l, o.alpha);
+    }
+
+    /**
+     * Mixes two colors. When a color is gray, its hue is powerless and the
+     * other color's hue is used.
+     *
+     * @param {Hsl} o origin
+     * @param {Hsl} d destination
+     * @param {number} [t=0.5] factor
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the mixed color
+     */
+    static mix (o, d, t = 0.5, easing = Hue.shorter) {
+        const u = 1.0 - t;
+        const oIsGray = o.s < 0.000001;
+        const dIsGray = d.s < 0.000001;
+
+        let ch = 0.0;
+        if (oIsGray && !dIsGray) {
+            ch = d.h;
+        } else if (dIsGray && !oIsGray) {
+            ch = o.h;
+        } else if (!oIsGray && !dIsGray) {
+            ch = easing(o.h, d.h, t, 1.0);
+        }
+
+        return new Hsl(
+            ch,
+            u * o.s + t * d.s,
+            u * o.l + t * d.l,
+            u * o.alpha + t * d.alpha);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the opaque color
+     */
+    static opaque (o) {
+        return new Hsl(o.h, o.s, o.l, 1.0);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @param {number} [scalar=1.0] scalar
+     * @returns the color
+     */
+    static scaleAlpha (o, scalar = 1.0) {
+        return new Hsl(o.h, o.s, o.l, o.alpha * scalar);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the 32 bit integer
+     */
+    static toTHSL32 (o) {
+        return Hsl.getAlpha8(o) << 0x18
+            | Hsl.getH8(o) << 0x10
+            | Hsl.getS8(o) << 0x08
+            | Hsl.getL8(o);
+    }
+
+    /**
+     * @param {Hsl} o color
+     * @returns the 64 bit integer
+     */
+    static toTHSL64 (o) {
+        return BigInt(Hsl.getAlpha16(o)) << 0x30n
+            | BigInt(Hsl.getH16(o)) << 0x20n
+            | BigInt(Hsl.getS16(o)) << 0x10n
+            | BigInt(Hsl.getL16(o));
+    }
+
+    /**
+     * @returns the color black
+     */
+    static black () {
+        return new Hsl(0.0, 0.0, 0.0, 1.0);
+    }
+
+    /**
+     * @returns clear black
+     */
+    static clear () {
+        return new Hsl(0.0, 0.0, 0.0, 0.0);
+    }
+
+    /**
+     * @returns the color white
+     */
+    static white () {
+        return new Hsl(0.0, 0.0, 1.0, 1.0);
+    }
+}
\ No newline at end of file
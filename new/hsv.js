@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * Represents colors in the HSV, or HSB, cylindrical model of gamma sRGB:
+ * hue, saturation and value, or brightness. All components, including hue,
+ * are expected to be in [0.0, 1.0]. Hue is periodic; red is at 0.0, green at
+ * 1/3 and blue at 2/3.
+ */
+class Hsv {
+    /**
+     * @param {number} [h=0.0] hue
+     * @param {number} [s=0.0] saturation
+     * @param {number} [v=0.0] value
+     * @param {number} [alpha=1.0] opacity
+     */
+    constructor (h = 0.0, s = 0.0, v = 0.0, alpha = 1.0) {
+        this._h = h;
+        this._s = s;
+        this._v = v;
+        this._alpha = alpha;
+
+        Object.freeze(this);
+    }
+
+    get h () { return this._h; }
+
+    get s () { return this._s; }
+
+    get v () { return this._v; }
+
+    get alpha () { return this._alpha; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @param {*} obj 
+     * @returns the evaluation
+     */
+    equals (obj) {
+        if (!obj) { return false; }
+        if (this === obj) { return true; }
+        if (obj.constructor.name !== this.constructor.name) {
+            return false;
+        }
+        return Hsv.eq(this, obj);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        if (precision >= 0 && precision < 21) {
+            return [
+                "{\"h\":", this._h.toFixed(precision),
+                ",\"s\":", this._s.toFixed(precision),
+                ",\"v\":", this._v.toFixed(precision),
+                ",\"alpha\":", this._alpha.toFixed(precision),
+                '}'
+            ].join('');
+        }
+
+        return [
+            "{\"h\":", Hsv.getH16(this),
+            ",\"s\":", Hsv.getS16(this),
+            ",\"v\":", Hsv.getV16(this),
+            ",\"alpha\":", Hsv.getAlpha16(this),
+            '}'
+        ].join('');
+    }
+
+    /**
+     * @param {Hsv} o left operand
+     * @param {Hsv} d right operand
+     * @returns the copy
+     */
+    static copyAlpha (o, d) {
+        return new Hsv(o.h, o.s, o.v, d.alpha);
+    }
+
+    /**
+     * @param {Hsv} o left operand
+     * @param {Hsv} d right operand
+     * @returns the copy
+     */
+    static copyHue (o, d) {
+        return new Hsv(d.h, o.s, o.v, o.alpha);
+    }
+
+    /**
+     * @param {Hsv} o left comparisand
+     * @param {Hsv} d right comparisand
+     * @returns the evaluation
+     */
+    static eq (o, d) {
+        return Hsv.eqAlpha(o, d)
+            && Hsv.eqValue(o, d)
+            && Hsv.eqSat(o, d)
+            && Hsv.eqHue(o, d);
+    }
+
+    /**
+     * @param {Hsv} o left comparisand
+     * @param {Hsv} d right comparisand
+     * @returns the evaluation
+     */
+    static eqAlpha (o, d) {
+        return Hsv.getAlpha16(o) === Hsv.getAlpha16(d);
+    }
+
+    /**
+     * @param {Hsv} o left comparisand
+     * @param {Hsv} d right comparisand
+     * @returns the evaluation
+     */
+    static eqHue (o, d) {
+        return Hsv.getH16(o) === Hsv.getH16(d);
+    }
+
+    /**
+     * @param {Hsv} o left comparisand
+     * @param {Hsv} d right comparisand
+     * @returns the evaluation
+     */
+    static eqSat (o, d) {
+        return Hsv.getS16(o) === Hsv.getS16(d);
+    }
+
+    /**
+     * @param {Hsv} o left comparisand
+     * @param {Hsv} d right comparisand
+     * @returns the evaluation
+     */
+    static eqValue (o, d) {
+        return Hsv.getV16(o) === Hsv.getV16(d);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [s=0] saturation
+     * @param {number} [v=0] value
+     * @param {number} [alpha=255] opacity
+     * @returns the conversion
+     */
+    static from8s (h = 0, s = 0, v = 0, alpha = 255) {
+        return new Hsv(
+            h / 255.0,
+            s / 255.0,
+            v / 255.0,
+            alpha / 255.0);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [s=0] saturation
+     * @param {number} [v=0] value
+     * @param {number} [alpha=65535] opacity
+     * @returns the conversion
+     */
+    static from16s (h = 0, s = 0, v = 0, alpha = 65535) {
+        return new Hsv(
+            h / 65535.0,
+            s / 65535.0,
+            v / 65535.0,
+            alpha / 65535.0);
+    }
+
+    /**
+     * Converts from gamma sRGB. When the color is gray, the hue is zero.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the conversion
+     */
+    static fromRgb (o) {
+        const mx = Math.max(o.r, o.g, o.b);
+        const mn = Math.min(o.r, o.g, o.b);
+        const delta = mx - mn;
+        if (delta <= 0.0) {
+            return new Hsv(0.0, 0.0, mx, o.alpha);
+        }
+
+        let hue = 0.0;
+        if (mx === o.r) {
+            hue = (o.g - o.b) / delta + (o.g < o.b ? 6.0 : 0.0);
+        } else if (mx === o.g) {
+            hue = (o.b - o.r) / delta + 2.0;
+        } else {
+            hue = (o.r - o.g) / delta + 4.0;
+        }
+
+        return new Hsv(
+            hue / 6.0,
+            mx > 0.0 ? delta / mx : 0.0,
+            mx,
+            o.alpha);
+    }
+
+    /**
+     * @param {number} i 32 bit integer
+     * @returns the conversion
+     */
+    static fromTHSV32 (i) {
+        return Hsv.from8s(
+            (i >> 0x10) & 0xff,
+            (i >> 0x08) & 0xff,
+            i & 0xff,
+            (i >> 0x18) & 0xff);
+    }
+
+    /**
+     * @param {BigInt} i 64 bit integer
+     * @returns the conversion
+     */
+    static fromTHSV64 (i) {
+        return Hsv.from16s(
+            Number((i >> 0x20n) & 0xffffn),
+            Number((i >> 0x10n) & 0xffffn),
+            Number(i & 0xffffn),
+            Number((i >> 0x30n) & 0xffffn));
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the hue as an unsigned 8 bit integer
+     */
+    static getH8 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the hue as an unsigned 16 bit integer
+     */
+    static getH16 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the saturation as an unsigned 8 bit integer
+     */
+    static getS8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.s, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the saturation as an unsigned 16 bit integer
+     */
+    static getS16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.s, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the value as an unsigned 8 bit integer
+     */
+    static getV8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.v, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the value as an unsigned 16 bit integer
+     */
+    static getV16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.v, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the alpha as an unsigned 8 bit integer
+     */
+    static getAlpha8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the alpha as an unsigned 16 bit integer
+     */
+    static getAlpha16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the gray color
+     */
+    static gray (o) {
+        return new Hsv(o.h, 0.0, o.v, o.alpha);
+    }
+
+    /**
+     * Mixes two colors. When a color is gray, its hue is powerless and the
+     * other color's hue is used.
+     *
+     * @param {Hsv} o origin
+     * @param {Hsv} d destination
+     * @param {number} [t=0.5] factor
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the mixed color
+     */
+    static mix (o, d, t = 0.5, easing = Hue.shorter) {
+        const u = 1.0 - t;
+        const oIsGray = o.s < 0.000001;
+        const dIsGray = d.s < 0.000001;
+
+        let ch = 0.0;
+        if (oIsGray && !dIsGray) {
+            ch = d.h;
+        } else if (dIsGray && !oIsGray) {
+            ch = o.h;
+        } else if (!oIsGray && !dIsGray) {
+            ch = easing(o.h, d.h, t, 1.0);
+        }
+
+        return new Hsv(
+            ch,
+            u * o.s + t * d.s,
+            u * o.v + t * d.v,
+            u * o.alpha + t * d.alpha);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the opaque color
+     */
+    static opaque (o) {
+        return new Hsv(o.h, o.s, o.v, 1.0);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @param {number} [scalar=1.0] scalar
+     * @returns the color
+     */
+    static scaleAlpha (o, scalar = 1.0) {
+        return new Hsv(o.h, o.s, o.v, o.alpha * scalar);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the 32 bit integer
+     */
+    static toTHSV32 (o) {
+        return Hsv.getAlpha8(o) << 0x18
+            | Hsv.getH8(o) << 0x10
+            | Hsv.getS8(o) << 0x08
+            | Hsv.getV8(o);
+    }
+
+    /**
+     * @param {Hsv} o color
+     * @returns the 64 bit integer
+     */
+    static toTHSV64 (o) {
+        return BigInt(Hsv.getAlpha16(o)) << 0x30n
+            | BigInt(Hsv.getH16(o)) << 0x20n
+            | BigInt(Hsv.getS16(o)) << 0x10n
+            | BigInt(Hsv.getV16(o));
+    }
+
+    /**
+     * @returns the color black
+     */
+    static black () {
+        return new Hsv(0.0, 0.0, 0.0, 1.0);
+    }
+
+    /**
+     * @returns clear black
+     */
+    static clear () {
+        return new Hsv(0.0, 0.0, 0.0, 0.0);
+    }
+
+    /**
+     * @returns the color white
+     */
+    static white () {
+        return new Hsv(0.0, 0.0, 1.0, 1.0);
+    }
+}
\ No newline at end of file
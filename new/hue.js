@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Hue easing functions for mixing colors in cylindrical spaces, following
+ * the hue interpolation methods of the CSS Color 4 specification,
+ * https://www.w3.org/TR/css-color-4/#hue-interpolation . Each function
+ * accepts an origin and destination hue, a factor and the hue's range, e.g.,
+ * 1.0 for Lch and 360.0 for degrees. The result is wrapped to [0.0, range).
+ */
+class Hue {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Mixes hues so that the destination is always reached by decreasing
+     * from the origin, i.e., clockwise.
+     *
+     * @param {number} o origin hue
+     * @param {number} d destination hue
+     * @param {number} [t=0.5] factor
+     * @param {number} [range=1.0] hue range
+     * @returns the hue
+     */
+    static decreasing (o, d, t = 0.5, range = 1.0) {
+        let oa = Hue.wrapInternal(o, range);
+        const da = Hue.wrapInternal(d, range);
+        if (oa < da) { oa += range; }
+        return Hue.mixInternal(oa, da, t, range);
+    }
+
+    /**
+     * Mixes hues so that the destination is always reached by increasing
+     * from the origin, i.e., counter-clockwise.
+     *
+     * @param {number} o origin hue
+     * @param {number} d destination hue
+     * @param {number} [t=0.5] factor
+     * @param {number} [range=1.0] hue range
+     * @returns the hue
+     */
+    static increasing (o, d, t = 0.5, range = 1.0) {
+        const oa = Hue.wrapInternal(o, range);
+        let da = Hue.wrapInternal(d, range);
+        if (da < oa) { da += range; }
+        return Hue.mixInternal(oa, da, t, range);
+    }
+
+    /**
+     * Mixes hues along the longer arc between them.
+     *
+     * @param {number} o origin hue
+     * @param {number} d destination hue
+     * @param {number} [t=0.5] factor
+     * @param {number} [range=1.0] hue range
+     * @returns the hue
+     */
+    static longer (o, d, t = 0.5, range = 1.0) {
+        let oa = Hue.wrapInternal(o, range);
+        let da = Hue.wrapInternal(d, range);
+        const diff = da - oa;
+        const half = range * 0.5;
+        if (diff > 0.0 && diff < half) {
+            oa += range;
+        } else if (diff > -half && diff <= 0.0) {
+            da += range;
+        }
+        return Hue.mixInternal(oa, da, t, range);
+    }
+
+    /**
+     * @param {number} o origin hue
+     * @param {number} d destination hue
+     * @param {number} t factor
+     * @param {number} range hue range
+     * @returns the wrapped hue
+     */
+    static mixInternal (o, d, t, range) {
+        return Hue.wrapInternal((1.0 - t) * o + t * d, range);
+    }
+
+    /**
+     * Mixes hues along the shorter arc between them.
+     *
+     * @param {number} o origin hue
+     * @param {number} d destination hue
+     * @param {number} [t=0.5] factor
+     * @param {number} [range=1.0] hue range
+     * @returns the hue
+     */
+    static shorter (o, d, t = 0.5, range = 1.0) {
+        let oa = Hue.wrapInternal(o, range);
+        let da = Hue.wrapInternal(d, range);
+        const diff = da - oa;
+        const half = range * 0.5;
+        if (diff > half) {
+            oa += range;
+        } else if (diff < -half) {
+            da += range;
+        }
+        return Hue.mixInternal(oa, da, t, range);
+    }
+
+    /**
+     * @param {number} h hue
+     * @param {number} range hue range
+     * @returns the wrapped hue
+     */
+    static wrapInternal (h, range) {
+        return h - range * Math.floor(h / range);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * Represents colors in the HWB cylindrical model of gamma sRGB: hue,
+ * whiteness and blackness. All components, including hue, are expected to
+ * be in [0.0, 1.0]. Hue is periodic; red is at 0.0, green at 1/3 and blue at
+ * 2/3. When the sum of whiteness and blackness is at least 1.0, the color is
+ * gray.
+ */
+class Hwb {
+    /**
+     * @param {number} [h=0.0] hue
+     * @param {number} [w=0.0] whiteness
+     * @param {number} [b=0.0] blackness
+     * @param {number} [alpha=1.0] opacity
+     */
+    constructor (h = 0.0, w = 0.0, b = 0.0, alpha = 1.0) {
+        this._h = h;
+        this._w = w;
+        this._b = b;
+        this._alpha = alpha;
+
+        Object.freeze(this);
+    }
+
+    get h () { return this._h; }
+
+    get w () { return this._w; }
+
+    get b () { return this._b; }
+
+    get alpha () { return this._alpha; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @param {*} obj 
+     * @returns the evaluation
+     */
+    equals (obj) {
+        if (!obj) { return false; }
+        if (this === obj) { return true; }
+        if (obj.constructor.name !== this.constructor.name) {
+            return false;
+        }
+        return Hwb.eq(this, obj);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        if (precision >= 0 && precision < 21) {
+            return [
+                "{\"h\":", this._h.toFixed(precision),
+                ",\"w\":", this._w.toFixed(precision),
+                ",\"b\":", this._b.toFixed(precision),
+                ",\"alpha\":", this._alpha.toFixed(precision),
+                '}'
+            ].join('');
+        }
+
+        return [
+            "{\"h\":", Hwb.getH16(this),
+            ",\"w\":", Hwb.getW16(this),
+            ",\"b\":", Hwb.getB16(this),
+            ",\"alpha\":", Hwb.getAlpha16(this),
+            '}'
+        ].join('');
+    }
+
+    /**
+     * @param {Hwb} o left operand
+     * @param {Hwb} d right operand
+     * @returns the copy
+     */
+    static copyAlpha (o, d) {
+        return new Hwb(o.h, o.w, o.b, d.alpha);
+    }
+
+    /**
+     * @param {Hwb} o left operand
+     * @param {Hwb} d right operand
+     * @returns the copy
+     */
+    static copyHue (o, d) {
+        return new Hwb(d.h, o.w, o.b, o.alpha);
+    }
+
+    /**
+     * @param {Hwb} o left comparisand
+     * @param {Hwb} d right comparisand
+     * @returns the evaluation
+     */
+    static eq (o, d) {
+        return Hwb.eqAlpha(o, d)
+            && Hwb.eqBlack(o, d)
+            && Hwb.eqWhite(o, d)
+            && Hwb.eqHue(o, d);
+    }
+
+    /**
+     * @param {Hwb} o left comparisand
+     * @param {Hwb} d right comparisand
+     * @returns the evaluation
+     */
+    static eqAlpha (o, d) {
+        return Hwb.getAlpha16(o) === Hwb.getAlpha16(d);
+    }
+
+    /**
+     * @param {Hwb} o left comparisand
+     * @param {Hwb} d right comparisand
+     * @returns the evaluation
+     */
+    static eqBlack (o, d) {
+        return Hwb.getB16(o) === Hwb.getB16(d);
+    }
+
+    /**
+     * @param {Hwb} o left comparisand
+     * @param {Hwb} d right comparisand
+     * @returns the evaluation
+     */
+    static eqHue (o, d) {
+        return Hwb.getH16(o) === Hwb.getH16(d);
+    }
+
+    /**
+     * @param {Hwb} o left comparisand
+     * @param {Hwb} d right comparisand
+     * @returns the evaluation
+     */
+    static eqWhite (o, d) {
+        return Hwb.getW16(o) === Hwb.getW16(d);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [w=0] whiteness
+     * @param {number} [b=0] blackness
+     * @param {number} [alpha=255] opacity
+     * @returns the conversion
+     */
+    static from8s (h = 0, w = 0, b = 0, alpha = 255) {
+        return new Hwb(
+            h / 255.0,
+            w / 255.0,
+            b / 255.0,
+            alpha / 255.0);
+    }
+
+    /**
+     * @param {number} [h=0] hue
+     * @param {number} [w=0] whiteness
+     * @param {number} [b=0] blackness
+     * @param {number} [alpha=65535] opacity
+     * @returns the conversion
+     */
+    static from16s (h = 0, w = 0, b = 0, alpha = 65535) {
+        return new Hwb(
+            h / 65535.0,
+            w / 65535.0,
+            b / 65535.0,
+            alpha / 65535.0);
+    }
+
+    /**
+     * Converts from gamma sRGB. When the color is gray, the hue is zero.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the conversion
+     */
+    static fromRgb (o) {
+        return new Hwb(
+            Hsv.fromRgb(o).h,
+            Math.min(o.r, o.g, o.b),
+            1.0 - Math.max(o.r, o.g, o.b),
+            o.alpha);
+    }
+
+    /**
+     * @param {number} i 32 bit integer
+     * @returns the conversion
+     */
+    static fromTHWB32 (i) {
+        return Hwb.from8s(
+            (i >> 0x10) & 0xff,
+            (i >> 0x08) & 0xff,
+            i & 0xff,
+            (i >> 0x18) & 0xff);
+    }
+
+    /**
+     * @param {BigInt} i 64 bit integer
+     * @returns the conversion
+     */
+    static fromTHWB64 (i) {
+        return Hwb.from16s(
+            Number((i >> 0x20n) & 0xffffn),
+            Number((i >> 0x10n) & 0xffffn),
+            Number(i & 0xffffn),
+            Number((i >> 0x30n) & 0xffffn));
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the hue as an unsigned 8 bit integer
+     */
+    static getH8 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the hue as an unsigned 16 bit integer
+     */
+    static getH16 (o) {
+        return Math.trunc((o.h - Math.floor(o.h)) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the whiteness as an unsigned 8 bit integer
+     */
+    static getW8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.w, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the whiteness as an unsigned 16 bit integer
+     */
+    static getW16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.w, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the blackness as an unsigned 8 bit integer
+     */
+    static getB8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.b, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the blackness as an unsigned 16 bit integer
+     */
+    static getB16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.b, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the alpha as an unsigned 8 bit integer
+     */
+    static getAlpha8 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 255 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the alpha as an unsigned 16 bit integer
+     */
+    static getAlpha16 (o) {
+        return Math.trunc(Math.min(Math.max(
+            o.alpha, 0.0), 1.0) * 65535 + 0.5);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the gray color
+     */
+    static gray (o) {
+        return new Hwb(o.h, 1.0 - o.b, o.b, o.alpha);
+    }
+
+    /**
+     * Mixes two colors. When a color is gray, its hue is powerless and the
+     * other color's hue is used.
+     *
+     * @param {Hwb} o origin
+     * @param {Hwb} d destination
+     * @param {number} [t=0.5] factor
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the mixed color
+     */
+    static mix (o, d, t = 0.5, easing = Hue.shorter) {
+        const u = 1.0 - t;
+        const oIsGray = o.w + o.b >= 0.999999;
+        const dIsGray = d.w + d.b >= 0.999999;
+
+        let ch = 0.0;
+        if (oIsGray && !dIsGray) {
+            ch = d.h;
+        } else if (dIsGray && !oIsGray) {
+            ch = o.h;
+        } else if (!oIsGray && !dIsGray) {
+            ch = easing(o.h, d.h, t, 1.0);
+        }
+
+        return new Hwb(
+            ch,
+            u * o.w + t * d.w,
+            u * o.b + t * d.b,
+            u * o.alpha + t * d.alpha);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the opaque color
+     */
+    static opaque (o) {
+        return new Hwb(o.h, o.w, o.b, 1.0);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @param {number} [scalar=1.0] scalar
+     * @returns the color
+     */
+    static scaleAlpha (o, scalar = 1.0) {
+        return new Hwb(o.h, o.w, o.b, o.alpha * scalar);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the 32 bit integer
+     */
+    static toTHWB32 (o) {
+        return Hwb.getAlpha8(o) << 0x18
+            | Hwb.getH8(o) << 0x10
+            | Hwb.getW8(o) << 0x08
+            | Hwb.getB8(o);
+    }
+
+    /**
+     * @param {Hwb} o color
+     * @returns the 64 bit integer
+     */
+    static toTHWB64 (o) {
+        return BigInt(Hwb.getAlpha16(o)) << 0x30n
+            | BigInt(Hwb.getH16(o)) << 0x20n
+            | BigInt(Hwb.getW16(o)) << 0x10n
+            | BigInt(Hwb.getB16(o));
+    }
+
+    /**
+     * @returns the color black
+     */
+    static black () {
+        return new Hwb(0.0, 0.0, 1.0, 1.0);
+    }
+
+    /**
+     * @returns clear black
+     */
+    static clear () {
+        return new Hwb(0.0, 0.0, 1.0, 0.0);
+    }
+
+    /**
+     * @returns the color white
+     */
+    static white () {
+        return new Hwb(0.0, 1.0, 0.0, 1.0);
+    }
+}
\ No newline at end of file
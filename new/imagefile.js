@@ -0,0 +1,1115 @@
+'use strict';
+
+/**
+ * Reads and writes image files: PNG, binary and ASCII PBM, PGM and PPM,
+ * PAM, 24 and 32 bit BMP and TGA. Images are objects with a 'width', a
+ * 'height' and 'data', an array of gamma sRGB RGBA channels, 4 per pixel, by
+ * row from the top left. An ImageData can be written directly, and a read
+ * image can be passed to new ImageData or Raster.fromImageData. Data is a
+ * Uint8ClampedArray, or a Uint16Array for 16 bit images; formats which
+ * cannot hold 16 bits are written at 8. Readers take an ArrayBuffer or
+ * Uint8Array and return null when a file is malformed or unsupported.
+ * Writers return a Uint8Array.
+ */
+class ImageFile {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Gets the bytes of a buffer. A string is read as one byte per
+     * character.
+     *
+     * @param {ArrayBuffer|Uint8Array|string} buffer buffer
+     * @returns the bytes
+     */
+    static bytesInternal (buffer) {
+        if (typeof buffer === 'string') {
+            const len = buffer.length;
+            const bytes = new Uint8Array(len);
+            for (let i = 0; i < len; ++i) {
+                bytes[i] = buffer.charCodeAt(i) & 0xff;
+            }
+            return bytes;
+        }
+        return buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+    }
+
+    /**
+     * Joins arrays of bytes.
+     *
+     * @param {Uint8Array[]} parts byte arrays
+     * @returns the bytes
+     */
+    static concatInternal (parts) {
+        let len = 0;
+        for (const part of parts) { len += part.length; }
+        const out = new Uint8Array(len);
+        let cursor = 0;
+        for (const part of parts) {
+            out.set(part, cursor);
+            cursor += part.length;
+        }
+        return out;
+    }
+
+    /**
+     * Finds the CRC-32 checksum of bytes, as used by PNG.
+     *
+     * @param {Uint8Array} bytes bytes
+     * @param {number} [crc=0] running checksum
+     * @returns the checksum
+     */
+    static crc32Internal (bytes, crc = 0) {
+        const table = ImageFile.CRC_TABLE;
+        let c = ~crc;
+        const len = bytes.length;
+        for (let i = 0; i < len; ++i) {
+            c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        }
+        return ~c >>> 0;
+    }
+
+    /**
+     * Applies a PNG filter to a scanline.
+     *
+     * @param {Uint8Array} row scanline
+     * @param {Uint8Array} prev previous scanline
+     * @param {number} filter filter type
+     * @param {number} bpp bytes per pixel
+     * @param {Uint8Array} out filtered scanline
+     * @returns the filtered scanline
+     */
+    static filterInternal (row, prev, filter, bpp, out) {
+        const n = row.length;
+        for (let i = 0; i < n; ++i) {
+            const a = i >= bpp ? row[i - bpp] : 0;
+            const b = prev[i];
+            const c = i >= bpp ? prev[i - bpp] : 0;
+            let p = 0;
+            switch (filter) {
+                case 1:
+                    p = a;
+                    break;
+                case 2:
+                    p = b;
+                    break;
+                case 3:
+                    p = (a + b) >> 1;
+                    break;
+                case 4:
+                    p = ImageFile.paethInternal(a, b, c);
+                    break;
+            }
+            out[i] = row[i] - p;
+        }
+        return out;
+    }
+
+    /**
+     * Creates an empty image. Returns null if a dimension is less than one.
+     *
+     * @param {number} width width
+     * @param {number} height height
+     * @param {number} depth bits per channel
+     * @returns the image
+     */
+    static imageInternal (width, height, depth) {
+        if (!(width >= 1 && height >= 1)) { return null; }
+        const len = width * height * 4;
+        return {
+            width: width,
+            height: height,
+            data: depth > 8 ? new Uint16Array(len) : new Uint8ClampedArray(len)
+        };
+    }
+
+    /**
+     * Finds whether every pixel of RGBA data is opaque.
+     *
+     * @param {Uint8ClampedArray|Uint16Array} data RGBA data
+     * @param {number} max channel maximum
+     * @returns the evaluation
+     */
+    static opaqueInternal (data, max) {
+        const len = data.length;
+        for (let i = 3; i < len; i += 4) {
+            if (data[i] < max) { return false; }
+        }
+        return true;
+    }
+
+    /**
+     * Predicts a byte from its left, upper and upper left neighbors.
+     *
+     * @param {number} a left
+     * @param {number} b upper
+     * @param {number} c upper left
+     * @returns the prediction
+     */
+    static paethInternal (a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) { return a; }
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * Gets the 8 bit RGBA data of an image, converting 16 bit data.
+     *
+     * @param {object} image image
+     * @returns the data
+     */
+    static pixelsInternal (image) {
+        const d = image.data;
+        if (!(d instanceof Uint16Array)) { return d; }
+        const out = new Uint8ClampedArray(d.length);
+        const len = d.length;
+        for (let i = 0; i < len; ++i) { out[i] = d[i] / 257.0; }
+        return out;
+    }
+
+    /**
+     * Creates a PNG chunk: length, type, data and CRC.
+     *
+     * @param {string} tag four letter chunk type
+     * @param {Uint8Array} data chunk data
+     * @returns the chunk
+     */
+    static pngChunkInternal (tag, data) {
+        const len = data.length;
+        const out = new Uint8Array(len + 12);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, len, false);
+        for (let i = 0; i < 4; ++i) { out[4 + i] = tag.charCodeAt(i); }
+        out.set(data, 8);
+        view.setUint32(len + 8,
+            ImageFile.crc32Internal(out.subarray(4, len + 8)), false);
+        return out;
+    }
+
+    /**
+     * Reads a BMP file with 24 or 32 bits per pixel, uncompressed or with
+     * bit field masks. Where a 32 bit file without an alpha mask has only
+     * zero in its fourth bytes, it is read as opaque.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer file contents
+     * @returns the image
+     */
+    static readBmp (buffer) {
+        const bytes = ImageFile.bytesInternal(buffer);
+        const view = new DataView(
+            bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const len = bytes.length;
+        if (len < 54 || bytes[0] !== 0x42 || bytes[1] !== 0x4d) {
+            return null;
+        }
+
+        const offset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+        const width = view.getInt32(18, true);
+        const signedHeight = view.getInt32(22, true);
+        const bpp = view.getUint16(28, true);
+        const compression = view.getUint32(30, true);
+        const height = Math.abs(signedHeight);
+        if (headerSize < 40 || (bpp !== 24 && bpp !== 32)) { return null; }
+
+        let masks = [0xff0000, 0xff00, 0xff, 0];
+        if (compression === 3 || compression === 6) {
+            if (bpp !== 32) { return null; }
+            const at = headerSize >= 52 ? 54 : 14 + headerSize;
+            const count = headerSize >= 56 || compression === 6 ? 4 : 3;
+            if (at + count * 4 > len) { return null; }
+            masks = [0, 0, 0, 0];
+            for (let i = 0; i < count; ++i) {
+                masks[i] = view.getUint32(at + i * 4, true);
+            }
+        } else if (compression !== 0) {
+            return null;
+        }
+
+        const rowBytes = ((width * bpp + 31) >> 5) * 4;
+        if (width < 1 || height < 1 || offset + rowBytes * height > len) {
+            return null;
+        }
+
+        const shifts = masks.map((m) => {
+            let s = 0;
+            while (m !== 0 && ((m >>> s) & 1) === 0) { ++s; }
+            return s;
+        });
+        const scales = masks.map((m, i) =>
+            m === 0 ? 0 : 255.0 / (m >>> shifts[i]));
+
+        const image = ImageFile.imageInternal(width, height, 8);
+        const out = image.data;
+        const byteAlpha = bpp === 32 && compression === 0;
+        let zeroAlpha = byteAlpha;
+        for (let y = 0; y < height; ++y) {
+            const src = signedHeight < 0 ? y : height - 1 - y;
+            let i = offset + src * rowBytes;
+            let j = y * width * 4;
+            for (let x = 0; x < width; ++x, j += 4) {
+                if (bpp === 24) {
+                    out[j] = bytes[i + 2];
+                    out[j + 1] = bytes[i + 1];
+                    out[j + 2] = bytes[i];
+                    out[j + 3] = 255;
+                    i += 3;
+                    continue;
+                }
+                const v = view.getUint32(i, true);
+                for (let k = 0; k < 3; ++k) {
+                    out[j + k] = ((v & masks[k]) >>> shifts[k]) * scales[k];
+                }
+                if (masks[3] !== 0) {
+                    out[j + 3] = ((v & masks[3]) >>> shifts[3]) * scales[3];
+                } else {
+                    out[j + 3] = byteAlpha ? bytes[i + 3] : 255;
+                }
+                if (out[j + 3] !== 0) { zeroAlpha = false; }
+                i += 4;
+            }
+        }
+
+        if (zeroAlpha) {
+            const n = out.length;
+            for (let j = 3; j < n; j += 4) { out[j] = 255; }
+        }
+        return image;
+    }
+
+    /**
+     * Reads a PNG file of any color type and bit depth, interlaced or not.
+     * Transparency from a tRNS chunk is applied. Other ancillary chunks,
+     * such as gamma and color profiles, are ignored. The depth selects the
+     * returned data: 8 bits per channel, or 16.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer file contents
+     * @param {number} [depth=8] bits per channel
+     * @returns the image
+     */
+    static readPng (buffer, depth = 8) {
+        const bytes = ImageFile.bytesInternal(buffer);
+        const view = new DataView(
+            bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const len = bytes.length;
+        const sig = ImageFile.PNG_SIGNATURE;
+        if (len < 8 || sig.some((b, i) => bytes[i] !== b)) { return null; }
+
+        let width = 0;
+        let height = 0;
+        let bits = 0;
+        let type = -1;
+        let interlace = 0;
+        let palette = null;
+        let trns = null;
+        const idats = [];
+        let cursor = 8;
+        while (cursor + 12 <= len) {
+            const n = view.getUint32(cursor, false);
+            const tag = view.getUint32(cursor + 4, false);
+            const start = cursor + 8;
+            if (start + n + 4 > len) { return null; }
+            const chunk = bytes.subarray(start, start + n);
+            cursor = start + n + 4;
+
+            if (tag === 0x49484452) {
+                if (n < 13 || bytes[start + 10] !== 0
+                    || bytes[start + 11] !== 0) {
+                    return null;
+                }
+                width = view.getUint32(start, false);
+                height = view.getUint32(start + 4, false);
+                bits = bytes[start + 8];
+                type = bytes[start + 9];
+                interlace = bytes[start + 12];
+            } else if (tag === 0x504c5445) {
+                palette = chunk;
+            } else if (tag === 0x74524e53) {
+                trns = chunk;
+            } else if (tag === 0x49444154) {
+                idats.push(chunk);
+            } else if (tag === 0x49454e44) {
+                break;
+            }
+        }
+
+        const depths = ImageFile.PNG_DEPTHS[type];
+        if (depths === undefined || !depths.includes(bits)
+            || interlace > 1 || (type === 3 && palette === null)) {
+            return null;
+        }
+
+        const channels = [1, 0, 3, 1, 2, 0, 4][type];
+        const passes = interlace === 1 ?
+            ImageFile.ADAM7 : [[0, 0, 1, 1]];
+        let expected = 0;
+        for (const [x0, y0, dx, dy] of passes) {
+            const pw = Math.ceil((width - x0) / dx);
+            const ph = Math.ceil((height - y0) / dy);
+            if (pw > 0 && ph > 0) {
+                expected += ph * (1 + Math.ceil(pw * channels * bits / 8));
+            }
+        }
+        const raw = Deflate.decompress(ImageFile.concatInternal(idats));
+        if (raw === null || raw.length < expected) { return null; }
+
+        const image = ImageFile.imageInternal(width, height, depth);
+        if (image === null) { return null; }
+        const out = image.data;
+        const outMax = depth > 8 ? 65535 : 255;
+        const maxVal = (1 << bits) - 1;
+        const levels = new Uint16Array(maxVal + 1);
+        for (let v = 0; v <= maxVal; ++v) {
+            levels[v] = Math.round(v * outMax / maxVal);
+        }
+
+        const pal = new Uint16Array(1024);
+        if (type === 3) {
+            const count = Math.min(palette.length / 3 | 0, 256);
+            const toOut = outMax / 255.0;
+            for (let k = 0; k < count; ++k) {
+                pal[k * 4] = palette[k * 3] * toOut;
+                pal[k * 4 + 1] = palette[k * 3 + 1] * toOut;
+                pal[k * 4 + 2] = palette[k * 3 + 2] * toOut;
+                pal[k * 4 + 3] = trns !== null && k < trns.length ?
+                    trns[k] * toOut : outMax;
+            }
+        }
+        const key = [-1, -1, -1];
+        if (trns !== null && type === 0 && trns.length >= 2) {
+            key[0] = trns[0] << 8 | trns[1];
+        } else if (trns !== null && type === 2 && trns.length >= 6) {
+            for (let k = 0; k < 3; ++k) {
+                key[k] = trns[k + k] << 8 | trns[k + k + 1];
+            }
+        }
+
+        const sample = bits === 8 ?
+            (row, k) => row[k] :
+            bits === 16 ?
+                (row, k) => row[k + k] << 8 | row[k + k + 1] :
+                (row, k) => row[(k * bits) >> 3]
+                    >> (8 - bits - ((k * bits) & 7)) & maxVal;
+        const bpp = Math.max(1, (channels * bits) >> 3);
+
+        let pos = 0;
+        for (const [x0, y0, dx, dy] of passes) {
+            const pw = Math.ceil((width - x0) / dx);
+            const ph = Math.ceil((height - y0) / dy);
+            if (pw <= 0 || ph <= 0) { continue; }
+            const rowBytes = Math.ceil(pw * channels * bits / 8);
+            let prev = new Uint8Array(rowBytes);
+            for (let r = 0; r < ph; ++r) {
+                const filter = raw[pos];
+                const row = raw.subarray(pos + 1, pos + 1 + rowBytes);
+                pos += rowBytes + 1;
+                if (!ImageFile.unfilterInternal(row, prev, filter, bpp)) {
+                    return null;
+                }
+                prev = row;
+
+                const y = y0 + r * dy;
+                for (let c = 0; c < pw; ++c) {
+                    const j = (y * width + x0 + c * dx) * 4;
+                    const k = c * channels;
+                    switch (type) {
+                        case 0: {
+                            const v = sample(row, k);
+                            out[j] = out[j + 1] = out[j + 2] = levels[v];
+                            out[j + 3] = v === key[0] ? 0 : outMax;
+                            break;
+                        }
+                        case 2: {
+                            const vr = sample(row, k);
+                            const vg = sample(row, k + 1);
+                            const vb = sample(row, k + 2);
+                            out[j] = levels[vr];
+                            out[j + 1] = levels[vg];
+                            out[j + 2] = levels[vb];
+                            out[j + 3] = vr === key[0] && vg === key[1]
+                                && vb === key[2] ? 0 : outMax;
+                            break;
+                        }
+                        case 3: {
+                            const p = sample(row, k) * 4;
+                            out[j] = pal[p];
+                            out[j + 1] = pal[p + 1];
+                            out[j + 2] = pal[p + 2];
+                            out[j + 3] = pal[p + 3];
+                            break;
+                        }
+                        case 4: {
+                            out[j] = out[j + 1] = out[j + 2] =
+                                levels[sample(row, k)];
+                            out[j + 3] = levels[sample(row, k + 1)];
+                            break;
+                        }
+                        default: {
+                            out[j] = levels[sample(row, k)];
+                            out[j + 1] = levels[sample(row, k + 1)];
+                            out[j + 2] = levels[sample(row, k + 2)];
+                            out[j + 3] = levels[sample(row, k + 3)];
+                        }
+                    }
+                }
+            }
+        }
+        return image;
+    }
+
+    /**
+     * Reads a Netpbm file: PBM, PGM or PPM, binary or ASCII, P1 to P6, or a
+     * PAM, P7, with 1 to 4 channels. Text may also be given as a string.
+     * The depth selects the returned data: 8 bits per channel, or 16.
+     *
+     * @param {ArrayBuffer|Uint8Array|string} buffer file contents
+     * @param {number} [depth=8] bits per channel
+     * @returns the image
+     */
+    static readPnm (buffer, depth = 8) {
+        const bytes = ImageFile.bytesInternal(buffer);
+        const len = bytes.length;
+        if (len < 3 || bytes[0] !== 0x50) { return null; }
+        const kind = bytes[1] - 0x30;
+        if (kind < 1 || kind > 7) { return null; }
+
+        let cursor = 2;
+        const space = (b) => b === 0x20 || (b >= 0x09 && b <= 0x0d);
+        const skip = () => {
+            for (;;) {
+                while (cursor < len && space(bytes[cursor])) { ++cursor; }
+                if (bytes[cursor] !== 0x23) { return; }
+                while (cursor < len && bytes[cursor] !== 0x0a
+                    && bytes[cursor] !== 0x0d) {
+                    ++cursor;
+                }
+            }
+        };
+        const token = () => {
+            skip();
+            const begin = cursor;
+            while (cursor < len && !space(bytes[cursor])) { ++cursor; }
+            return String.fromCharCode.apply(
+                null, bytes.subarray(begin, cursor));
+        };
+        const number = () => {
+            const t = token();
+            return t === '' ? -1 : Number(t);
+        };
+
+        let width = 0;
+        let height = 0;
+        let channels = 0;
+        let maxval = 0;
+        if (kind === 7) {
+            for (;;) {
+                const name = token();
+                if (name === 'ENDHDR') { break; }
+                if (name === '') { return null; }
+                const value = token();
+                if (name === 'WIDTH') {
+                    width = Number(value);
+                } else if (name === 'HEIGHT') {
+                    height = Number(value);
+                } else if (name === 'DEPTH') {
+                    channels = Number(value);
+                } else if (name === 'MAXVAL') {
+                    maxval = Number(value);
+                }
+            }
+        } else {
+            width = number();
+            height = number();
+            channels = kind % 3 === 0 ? 3 : 1;
+            maxval = kind === 1 || kind === 4 ? 1 : number();
+        }
+        if (!(Number.isInteger(width) && Number.isInteger(height)
+            && channels >= 1 && channels <= 4
+            && maxval >= 1 && maxval <= 65535)) {
+            return null;
+        }
+
+        const count = width * height * channels;
+        const wide = maxval > 255;
+        const rowBits = (width + 7) >> 3;
+        if (kind >= 4) {
+            ++cursor;
+            const need = kind === 4 ?
+                rowBits * height : count * (wide ? 2 : 1);
+            if (cursor + need > len) { return null; }
+        } else if (count > len - cursor) {
+            return null;
+        }
+
+        let next = null;
+        if (kind === 1) {
+            next = () => {
+                skip();
+                const b = bytes[cursor++];
+                return b === 0x30 ? 1 : b === 0x31 ? 0 : -1;
+            };
+        } else if (kind <= 3) {
+            next = number;
+        } else if (kind === 4) {
+            const start = cursor;
+            let k = 0;
+            next = () => {
+                const x = k % width;
+                const y = k / width | 0;
+                ++k;
+                return 1 - (bytes[start + y * rowBits + (x >> 3)]
+                    >> (7 - (x & 7)) & 1);
+            };
+        } else if (wide) {
+            next = () => {
+                const v = bytes[cursor] << 8 | bytes[cursor + 1];
+                cursor += 2;
+                return v;
+            };
+        } else {
+            next = () => bytes[cursor++];
+        }
+
+        const image = ImageFile.imageInternal(width, height, depth);
+        if (image === null) { return null; }
+        const out = image.data;
+        const outMax = depth > 8 ? 65535 : 255;
+        const scale = outMax / maxval;
+        const s = [0, 0, 0, 0];
+        const len4 = out.length;
+        for (let j = 0; j < len4; j += 4) {
+            for (let k = 0; k < channels; ++k) {
+                const v = next();
+                if (!(v >= 0)) { return null; }
+                s[k] = Math.round(Math.min(v, maxval) * scale);
+            }
+            if (channels < 3) {
+                out[j] = out[j + 1] = out[j + 2] = s[0];
+            } else {
+                out[j] = s[0];
+                out[j + 1] = s[1];
+                out[j + 2] = s[2];
+            }
+            out[j + 3] = channels % 2 === 0 ? s[channels - 1] : outMax;
+        }
+        return image;
+    }
+
+    /**
+     * Reads a TGA file: true color with 24 or 32 bits per pixel, or 8 bit
+     * gray, uncompressed or run-length encoded. Where a 32 bit file has
+     * only zero in its alpha channel, it is read as opaque.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer file contents
+     * @returns the image
+     */
+    static readTga (buffer) {
+        const bytes = ImageFile.bytesInternal(buffer);
+        const view = new DataView(
+            bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const len = bytes.length;
+        if (len < 18) { return null; }
+
+        const type = bytes[2];
+        const mapLen = view.getUint16(5, true);
+        const mapBits = bytes[7];
+        const width = view.getUint16(12, true);
+        const height = view.getUint16(14, true);
+        const bpp = bytes[16];
+        const descriptor = bytes[17];
+        const gray = (type & 7) === 3;
+        if (((type & 7) !== 2 && !gray) || (type & ~0x0b) !== 0
+            || bpp !== (gray ? 8 : bpp === 32 ? 32 : 24)) {
+            return null;
+        }
+
+        const start = 18 + bytes[0]
+            + (bytes[1] !== 0 ? mapLen * Math.ceil(mapBits / 8) : 0);
+        const size = bpp >> 3;
+        const count = width * height;
+        const rle = (type & 8) !== 0;
+        if (count === 0 || start > len
+            || (rle ? count > (len - start) * 128
+                : start + count * size > len)) {
+            return null;
+        }
+
+        const image = ImageFile.imageInternal(width, height, 8);
+        const out = image.data;
+        const flipX = (descriptor & 0x10) !== 0;
+        const flipY = (descriptor & 0x20) === 0;
+        let zeroAlpha = bpp === 32;
+        let cursor = start;
+        let run = 0;
+        let repeat = false;
+        for (let k = 0; k < count; ++k) {
+            if (rle && run === 0) {
+                if (cursor >= len) { return null; }
+                const packet = bytes[cursor++];
+                run = (packet & 0x7f) + 1;
+                repeat = (packet & 0x80) !== 0;
+            }
+            if (cursor + size > len) { return null; }
+
+            const x = k % width;
+            const y = k / width | 0;
+            const j = ((flipY ? height - 1 - y : y) * width
+                + (flipX ? width - 1 - x : x)) * 4;
+            if (gray) {
+                out[j] = out[j + 1] = out[j + 2] = bytes[cursor];
+                out[j + 3] = 255;
+            } else {
+                out[j] = bytes[cursor + 2];
+                out[j + 1] = bytes[cursor + 1];
+                out[j + 2] = bytes[cursor];
+                out[j + 3] = bpp === 32 ? bytes[cursor + 3] : 255;
+                if (out[j + 3] !== 0) { zeroAlpha = false; }
+            }
+
+            if (!rle || !repeat || run === 1) { cursor += size; }
+            if (rle) { --run; }
+        }
+
+        if (zeroAlpha) {
+            const n = out.length;
+            for (let j = 3; j < n; j += 4) { out[j] = 255; }
+        }
+        return image;
+    }
+
+    /**
+     * Reverses a PNG filter on a scanline in place. Returns false if the
+     * filter type is unknown.
+     *
+     * @param {Uint8Array} row scanline
+     * @param {Uint8Array} prev previous scanline
+     * @param {number} filter filter type
+     * @param {number} bpp bytes per pixel
+     * @returns the evaluation
+     */
+    static unfilterInternal (row, prev, filter, bpp) {
+        const n = row.length;
+        switch (filter) {
+            case 0:
+                break;
+            case 1:
+                for (let i = bpp; i < n; ++i) { row[i] += row[i - bpp]; }
+                break;
+            case 2:
+                for (let i = 0; i < n; ++i) { row[i] += prev[i]; }
+                break;
+            case 3:
+                for (let i = 0; i < n; ++i) {
+                    const a = i >= bpp ? row[i - bpp] : 0;
+                    row[i] += (a + prev[i]) >> 1;
+                }
+                break;
+            case 4:
+                for (let i = 0; i < n; ++i) {
+                    row[i] += i >= bpp ?
+                        ImageFile.paethInternal(
+                            row[i - bpp], prev[i], prev[i - bpp]) :
+                        prev[i];
+                }
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Writes a BMP file, bottom up. A 32 bit file has an alpha mask in a
+     * version 4 header; a 24 bit file drops alpha.
+     *
+     * @param {object} image image
+     * @param {number} [bits=32] bits per pixel, 24 or 32
+     * @returns the file contents
+     */
+    static writeBmp (image, bits = 32) {
+        const w = image.width;
+        const h = image.height;
+        const d = ImageFile.pixelsInternal(image);
+        const alpha = bits !== 24;
+        const headerSize = alpha ? 108 : 40;
+        const offset = 14 + headerSize;
+        const rowBytes = alpha ? w * 4 : ((w * 24 + 31) >> 5) * 4;
+        const size = offset + rowBytes * h;
+
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        out[0] = 0x42;
+        out[1] = 0x4d;
+        view.setUint32(2, size, true);
+        view.setUint32(10, offset, true);
+        view.setUint32(14, headerSize, true);
+        view.setInt32(18, w, true);
+        view.setInt32(22, h, true);
+        view.setUint16(26, 1, true);
+        view.setUint16(28, alpha ? 32 : 24, true);
+        view.setUint32(30, alpha ? 3 : 0, true);
+        view.setUint32(34, rowBytes * h, true);
+        view.setInt32(38, 2835, true);
+        view.setInt32(42, 2835, true);
+        if (alpha) {
+            view.setUint32(54, 0x00ff0000, true);
+            view.setUint32(58, 0x0000ff00, true);
+            view.setUint32(62, 0x000000ff, true);
+            view.setUint32(66, 0xff000000, true);
+            view.setUint32(70, 0x73524742, true);
+        }
+
+        for (let y = 0; y < h; ++y) {
+            let i = offset + (h - 1 - y) * rowBytes;
+            let j = y * w * 4;
+            for (let x = 0; x < w; ++x, j += 4) {
+                out[i++] = d[j + 2];
+                out[i++] = d[j + 1];
+                out[i++] = d[j];
+                if (alpha) { out[i++] = d[j + 3]; }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Writes a PAM file, P7, with RGBA tuples. 16 bit images are written
+     * with a maximum value of 65535.
+     *
+     * @param {object} image image
+     * @returns the file contents
+     */
+    static writePam (image) {
+        const d = image.data;
+        const wide = d instanceof Uint16Array;
+        const header = ImageFile.bytesInternal([
+            'P7',
+            'WIDTH ' + image.width,
+            'HEIGHT ' + image.height,
+            'DEPTH 4',
+            'MAXVAL ' + (wide ? 65535 : 255),
+            'TUPLTYPE RGB_ALPHA',
+            'ENDHDR',
+            ''
+        ].join('\n'));
+
+        const len = image.width * image.height * 4;
+        const body = new Uint8Array(wide ? len * 2 : len);
+        for (let i = 0; i < len; ++i) {
+            if (wide) {
+                body[i + i] = d[i] >> 8;
+                body[i + i + 1] = d[i] & 0xff;
+            } else {
+                body[i] = d[i];
+            }
+        }
+        return ImageFile.concatInternal([header, body]);
+    }
+
+    /**
+     * Writes a PNG file. 16 bit images are written with 16 bits per
+     * channel. Alpha is omitted when every pixel is opaque. When indexed is
+     * true and an 8 bit image has 256 or fewer colors, it is written with a
+     * palette, packed to 1, 2 or 4 bits per pixel where possible. Greater
+     * effort compresses more slowly.
+     *
+     * @param {object} image image
+     * @param {boolean} [indexed=false] write a palette if possible
+     * @param {number} [effort=128] compression effort
+     * @returns the file contents
+     */
+    static writePng (image, indexed = false, effort = 128) {
+        const w = image.width;
+        const h = image.height;
+        const d = image.data;
+        const wide = d instanceof Uint16Array;
+        const len = w * h;
+
+        let type = 6;
+        let bits = wide ? 16 : 8;
+        let channels = 4;
+        let indices = null;
+        const chunks = [];
+        if (indexed && !wide) {
+            const lookup = new Map();
+            const colors = [];
+            indices = new Uint16Array(len);
+            for (let i = 0; i < len && colors.length <= 256; ++i) {
+                const j = i * 4;
+                const c = (d[j] << 24 | d[j + 1] << 16 | d[j + 2] << 8
+                    | d[j + 3]) >>> 0;
+                let k = lookup.get(c);
+                if (k === undefined) {
+                    k = colors.length;
+                    lookup.set(c, k);
+                    colors.push(c);
+                }
+                indices[i] = k;
+            }
+
+            if (colors.length <= 256) {
+                const opaque = (k) => (colors[k] & 0xff) === 0xff ? 1 : 0;
+                const order = colors.map((c, k) => k).sort((a, b) =>
+                    opaque(a) - opaque(b) || a - b);
+                const remap = new Uint16Array(order.length);
+                order.forEach((k, i) => { remap[k] = i; });
+                for (let i = 0; i < len; ++i) {
+                    indices[i] = remap[indices[i]];
+                }
+
+                const n = order.length;
+                const plte = new Uint8Array(n * 3);
+                const alphas = [];
+                for (let i = 0; i < n; ++i) {
+                    const c = colors[order[i]];
+                    plte[i * 3] = c >>> 24;
+                    plte[i * 3 + 1] = c >>> 16 & 0xff;
+                    plte[i * 3 + 2] = c >>> 8 & 0xff;
+                    if ((c & 0xff) !== 0xff) { alphas.push(c & 0xff); }
+                }
+                chunks.push(ImageFile.pngChunkInternal('PLTE', plte));
+                if (alphas.length > 0) {
+                    chunks.push(ImageFile.pngChunkInternal(
+                        'tRNS', new Uint8Array(alphas)));
+                }
+                type = 3;
+                channels = 1;
+                bits = n <= 2 ? 1 : n <= 4 ? 2 : n <= 16 ? 4 : 8;
+            } else {
+                indices = null;
+            }
+        }
+        if (type === 6 && ImageFile.opaqueInternal(d, wide ? 65535 : 255)) {
+            type = 2;
+            channels = 3;
+        }
+
+        const rowBytes = Math.ceil(w * channels * bits / 8);
+        const bpp = Math.max(1, (channels * bits) >> 3);
+        const raw = new Uint8Array(h * (rowBytes + 1));
+        let row = new Uint8Array(rowBytes);
+        let prev = new Uint8Array(rowBytes);
+        const trial = new Uint8Array(rowBytes);
+        const best = new Uint8Array(rowBytes);
+        for (let y = 0; y < h; ++y) {
+            row.fill(0);
+            if (indices !== null) {
+                const perByte = 8 / bits;
+                for (let x = 0; x < w; ++x) {
+                    row[(x / perByte) | 0] |= indices[y * w + x]
+                        << (8 - bits - (x % perByte) * bits);
+                }
+            } else {
+                let k = 0;
+                for (let x = 0; x < w; ++x) {
+                    const j = (y * w + x) * 4;
+                    for (let c = 0; c < channels; ++c) {
+                        const v = d[j + c];
+                        if (wide) { row[k++] = v >> 8; }
+                        row[k++] = v & 0xff;
+                    }
+                }
+            }
+
+            let filter = 0;
+            best.set(row);
+            if (indices === null) {
+                let least = Number.MAX_VALUE;
+                for (let f = 0; f < 5; ++f) {
+                    ImageFile.filterInternal(row, prev, f, bpp, trial);
+                    let sum = 0;
+                    for (let i = 0; i < rowBytes; ++i) {
+                        sum += trial[i] < 128 ? trial[i] : 256 - trial[i];
+                    }
+                    if (sum < least) {
+                        least = sum;
+                        filter = f;
+                        best.set(trial);
+                    }
+                }
+            }
+            const at = y * (rowBytes + 1);
+            raw[at] = filter;
+            raw.set(best, at + 1);
+
+            const swap = prev;
+            prev = row;
+            row = swap;
+        }
+
+        const ihdr = new Uint8Array(13);
+        const view = new DataView(ihdr.buffer);
+        view.setUint32(0, w, false);
+        view.setUint32(4, h, false);
+        ihdr[8] = bits;
+        ihdr[9] = type;
+
+        return ImageFile.concatInternal([
+            new Uint8Array(ImageFile.PNG_SIGNATURE),
+            ImageFile.pngChunkInternal('IHDR', ihdr),
+            ...chunks,
+            ImageFile.pngChunkInternal('IDAT',
+                Deflate.compress(raw, effort)),
+            ImageFile.pngChunkInternal('IEND', new Uint8Array(0))
+        ]);
+    }
+
+    /**
+     * Writes a PPM file, binary, P6, or ASCII, P3. Alpha is dropped. 16 bit
+     * images are written with a maximum value of 65535.
+     *
+     * @param {object} image image
+     * @param {boolean} [ascii=false] write ASCII
+     * @returns the file contents
+     */
+    static writePpm (image, ascii = false) {
+        const w = image.width;
+        const h = image.height;
+        const d = image.data;
+        const wide = d instanceof Uint16Array;
+        const header = [
+            ascii ? 'P3' : 'P6',
+            w + ' ' + h,
+            wide ? '65535' : '255',
+            ''
+        ].join('\n');
+        const len = w * h;
+
+        if (ascii) {
+            const lines = [header];
+            let line = '';
+            for (let i = 0; i < len; ++i) {
+                for (let c = 0; c < 3; ++c) {
+                    const s = String(d[i * 4 + c]);
+                    if (line.length + s.length >= 70) {
+                        lines.push(line, '\n');
+                        line = '';
+                    }
+                    line += line.length > 0 ? ' ' + s : s;
+                }
+            }
+            lines.push(line, '\n');
+            return ImageFile.bytesInternal(lines.join(''));
+        }
+
+        const body = new Uint8Array(len * (wide ? 6 : 3));
+        let k = 0;
+        for (let i = 0; i < len; ++i) {
+            for (let c = 0; c < 3; ++c) {
+                const v = d[i * 4 + c];
+                if (wide) { body[k++] = v >> 8; }
+                body[k++] = v & 0xff;
+            }
+        }
+        return ImageFile.concatInternal(
+            [ImageFile.bytesInternal(header), body]);
+    }
+
+    /**
+     * Writes a TGA file, top down. Alpha is omitted, writing 24 bits per
+     * pixel, when every pixel is opaque. Scanlines are run-length encoded
+     * unless rle is false.
+     *
+     * @param {object} image image
+     * @param {boolean} [rle=true] run-length encode
+     * @returns the file contents
+     */
+    static writeTga (image, rle = true) {
+        const w = image.width;
+        const h = image.height;
+        const d = ImageFile.pixelsInternal(image);
+        const alpha = !ImageFile.opaqueInternal(d, 255);
+        const size = alpha ? 4 : 3;
+
+        const header = new Uint8Array(18);
+        const view = new DataView(header.buffer);
+        header[2] = rle ? 10 : 2;
+        view.setUint16(12, w, true);
+        view.setUint16(14, h, true);
+        header[16] = size * 8;
+        header[17] = 0x20 | (alpha ? 8 : 0);
+
+        const body = new Uint8Array(w * h * (size + 1));
+        let k = 0;
+        const put = (j) => {
+            body[k++] = d[j + 2];
+            body[k++] = d[j + 1];
+            body[k++] = d[j];
+            if (alpha) { body[k++] = d[j + 3]; }
+        };
+        const same = (a, b) => d[a] === d[b] && d[a + 1] === d[b + 1]
+            && d[a + 2] === d[b + 2] && (!alpha || d[a + 3] === d[b + 3]);
+
+        for (let y = 0; y < h; ++y) {
+            const first = y * w * 4;
+            if (!rle) {
+                for (let x = 0; x < w; ++x) { put(first + x * 4); }
+                continue;
+            }
+            let x = 0;
+            while (x < w) {
+                const j = first + x * 4;
+                let n = 1;
+                while (x + n < w && n < 128 && same(j, j + n * 4)) { ++n; }
+                if (n > 1) {
+                    body[k++] = 0x80 | (n - 1);
+                    put(j);
+                    x += n;
+                    continue;
+                }
+                n = 1;
+                while (x + n < w && n < 128
+                    && !(x + n + 1 < w && same(j + n * 4, j + n * 4 + 4))) {
+                    ++n;
+                }
+                body[k++] = n - 1;
+                for (let m = 0; m < n; ++m) { put(j + m * 4); }
+                x += n;
+            }
+        }
+
+        const footer = ImageFile.bytesInternal(
+            '\0\0\0\0\0\0\0\0TRUEVISION-XFILE.\0');
+        return ImageFile.concatInternal(
+            [header, body.subarray(0, k), footer]);
+    }
+}
+
+/**
+ * Offsets and steps of the seven Adam7 interlace passes: x, y, dx, dy.
+ */
+ImageFile.ADAM7 = Object.freeze([
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+].map(Object.freeze));
+
+/**
+ * CRC-32 lookup table for the polynomial 0xEDB88320.
+ */
+ImageFile.CRC_TABLE = Object.freeze(Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+}));
+
+/**
+ * Bit depths allowed for each PNG color type.
+ */
+ImageFile.PNG_DEPTHS = Object.freeze([
+    [1, 2, 4, 8, 16], undefined, [8, 16], [1, 2, 4, 8], [8, 16], undefined,
+    [8, 16]
+]);
+
+/**
+ * The eight byte signature which begins a PNG file.
+ */
+ImageFile.PNG_SIGNATURE = Object.freeze([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a
+]);
\ No newline at end of file
@@ -6,7 +6,8 @@
  * indicates a green hue; positive, magenta. Negative b indicates a blue hue;
  * positive, yellow. Lightness falls in the range [0.0, 100.0]. For a and b,
  * the practical range varies, but is roughly in [-111.0, 111.0] for CIE LAB.
- * Alpha is expected to be in [0.0, 1.0].
+ * OK LAB is scaled by 100.0 so that its lightness matches; its a and b then
+ * fall roughly in [-40.0, 40.0]. Alpha is expected to be in [0.0, 1.0].
  */
 class Lab {
     /**
@@ -159,6 +160,162 @@ class Lab {
         return new Lab(d.l, o.a, o.b, o.alpha);
     }
 
+    /**
+     * Finds the CIEDE2000 color difference between two CIE LAB colors, per
+     * Sharma, Wu and Dalal's "The CIEDE2000 Color-Difference Formula:
+     * Implementation Notes, Supplementary Test Data, and Mathematical
+     * Observations." Alpha is ignored.
+     *
+     * @param {Lab} o left operand
+     * @param {Lab} d right operand
+     * @param {number} [kL=1.0] lightness weight
+     * @param {number} [kC=1.0] chroma weight
+     * @param {number} [kH=1.0] hue weight
+     * @returns the difference
+     */
+    static deltaE2000 (o, d, kL = 1.0, kC = 1.0, kH = 1.0) {
+        const toRad = Math.PI / 180.0;
+        const toDeg = 180.0 / Math.PI;
+        const pow25_7 = 6103515625.0;
+
+        const cBar = (Lab.chroma(o) + Lab.chroma(d)) * 0.5;
+        const cBar7 = Math.pow(cBar, 7.0);
+        const g = 0.5 * (1.0 - Math.sqrt(cBar7 / (cBar7 + pow25_7)));
+
+        const oaPrime = (1.0 + g) * o.a;
+        const daPrime = (1.0 + g) * d.a;
+        const ocPrime = Math.sqrt(oaPrime * oaPrime + o.b * o.b);
+        const dcPrime = Math.sqrt(daPrime * daPrime + d.b * d.b);
+
+        let ohPrime = 0.0;
+        if (oaPrime !== 0.0 || o.b !== 0.0) {
+            ohPrime = Math.atan2(o.b, oaPrime) * toDeg;
+            if (ohPrime < 0.0) { ohPrime += 360.0; }
+        }
+
+        let dhPrime = 0.0;
+        if (daPrime !== 0.0 || d.b !== 0.0) {
+            dhPrime = Math.atan2(d.b, daPrime) * toDeg;
+            if (dhPrime < 0.0) { dhPrime += 360.0; }
+        }
+
+        const cProd = ocPrime * dcPrime;
+        const hDiff = dhPrime - ohPrime;
+        const hSum = ohPrime + dhPrime;
+
+        let deltah = 0.0;
+        let hBarPrime = hSum;
+        if (cProd !== 0.0) {
+            if (Math.abs(hDiff) <= 180.0) {
+                deltah = hDiff;
+                hBarPrime = hSum * 0.5;
+            } else {
+                deltah = hDiff > 180.0 ? hDiff - 360.0 : hDiff + 360.0;
+                hBarPrime = hSum < 360.0 ?
+                    (hSum + 360.0) * 0.5 :
+                    (hSum - 360.0) * 0.5;
+            }
+        }
+
+        const deltaL = d.l - o.l;
+        const deltaC = dcPrime - ocPrime;
+        const deltaH = 2.0 * Math.sqrt(cProd)
+            * Math.sin(deltah * 0.5 * toRad);
+
+        const lBarPrime = (o.l + d.l) * 0.5;
+        const cBarPrime = (ocPrime + dcPrime) * 0.5;
+
+        const t = 1.0
+            - 0.17 * Math.cos((hBarPrime - 30.0) * toRad)
+            + 0.24 * Math.cos((2.0 * hBarPrime) * toRad)
+            + 0.32 * Math.cos((3.0 * hBarPrime + 6.0) * toRad)
+            - 0.2 * Math.cos((4.0 * hBarPrime - 63.0) * toRad);
+
+        const hExp = (hBarPrime - 275.0) / 25.0;
+        const deltaTheta = 30.0 * Math.exp(-hExp * hExp);
+        const cBarPrime7 = Math.pow(cBarPrime, 7.0);
+        const rc = 2.0 * Math.sqrt(cBarPrime7 / (cBarPrime7 + pow25_7));
+
+        const lBar50Sq = (lBarPrime - 50.0) * (lBarPrime - 50.0);
+        const sl = 1.0 + 0.015 * lBar50Sq / Math.sqrt(20.0 + lBar50Sq);
+        const sc = 1.0 + 0.045 * cBarPrime;
+        const sh = 1.0 + 0.015 * cBarPrime * t;
+        const rt = -Math.sin(2.0 * deltaTheta * toRad) * rc;
+
+        const lTerm = deltaL / (kL * sl);
+        const cTerm = deltaC / (kC * sc);
+        const hTerm = deltaH / (kH * sh);
+        return Math.sqrt(lTerm * lTerm
+            + cTerm * cTerm
+            + hTerm * hTerm
+            + rt * cTerm * hTerm);
+    }
+
+    /**
+     * Finds the CIE76 color difference between two CIE LAB colors. This is
+     * the Euclidean distance. Alpha is ignored.
+     *
+     * @param {Lab} o left operand
+     * @param {Lab} d right operand
+     * @returns the difference
+     */
+    static deltaE76 (o, d) {
+        const cl = d.l - o.l;
+        const ca = d.a - o.a;
+        const cb = d.b - o.b;
+        return Math.sqrt(cl * cl + ca * ca + cb * cb);
+    }
+
+    /**
+     * Finds the CIE94 color difference between two CIE LAB colors. The
+     * difference is not symmetric; the left operand is the reference. Uses
+     * graphic arts weights by default, textiles weights if the flag is true.
+     * Alpha is ignored.
+     *
+     * @param {Lab} o reference
+     * @param {Lab} d sample
+     * @param {boolean} [textiles=false] use textiles weights
+     * @returns the difference
+     */
+    static deltaE94 (o, d, textiles = false) {
+        const kL = textiles ? 2.0 : 1.0;
+        const k1 = textiles ? 0.048 : 0.045;
+        const k2 = textiles ? 0.014 : 0.015;
+
+        const oChroma = Lab.chroma(o);
+        const dChroma = Lab.chroma(d);
+
+        const deltaL = o.l - d.l;
+        const deltaC = oChroma - dChroma;
+        const deltaa = o.a - d.a;
+        const deltab = o.b - d.b;
+        const deltaHSq = Math.max(0.0,
+            deltaa * deltaa + deltab * deltab - deltaC * deltaC);
+
+        const sc = 1.0 + k1 * oChroma;
+        const sh = 1.0 + k2 * oChroma;
+
+        const lTerm = deltaL / kL;
+        const cTerm = deltaC / sc;
+        return Math.sqrt(lTerm * lTerm
+            + cTerm * cTerm
+            + deltaHSq / (sh * sh));
+    }
+
+    /**
+     * Finds the color difference between two OK LAB colors. This is the
+     * Euclidean distance. Because OK LAB is scaled by 100.0, a difference of
+     * 2.0 is equivalent to the CSS just noticeable difference of 0.02 .
+     * Alpha is ignored.
+     *
+     * @param {Lab} o left operand
+     * @param {Lab} d right operand
+     * @returns the difference
+     */
+    static deltaEOk (o, d) {
+        return Lab.deltaE76(o, d);
+    }
+
     /**
      * @param {Lab} o left operand
      * @param {Lab} d right operand
@@ -266,6 +423,19 @@ class Lab {
             Number((i >> 0x30n) & 0xffffn));
     }
 
+    /**
+     * @param {Lch} o polar color
+     * @returns the conversion
+     */
+    static fromLch (o) {
+        const radians = o.h * (Math.PI + Math.PI);
+        return new Lab(
+            o.l,
+            o.c * Math.cos(radians),
+            o.c * Math.sin(radians),
+            o.alpha);
+    }
+
     /**
      * @param {Lab} o color
      * @retuns the lightness as an unsigned 8 bit integer
@@ -257,6 +257,30 @@ class Lch {
             Number((i >> 0x30n) & 0xffffn));
     }
 
+    /**
+     * Converts from rectangular to polar coordinates. When the chroma is
+     * near zero, the hue is zero.
+     *
+     * @param {Lab} o rectangular color
+     * @returns the conversion
+     */
+    static fromLab (o) {
+        const chromaSq = o.a * o.a + o.b * o.b;
+        if (chromaSq < 0.000001) {
+            return new Lch(o.l, 0.0, 0.0, o.alpha);
+        }
+
+        const hueSigned = Math.atan2(o.b, o.a);
+        const tau = Math.PI + Math.PI;
+        return new Lch(
+            o.l,
+            Math.sqrt(chromaSq),
+            hueSigned < 0.0 ?
+                (hueSigned + tau) / tau :
+                hueSigned / tau,
+            o.alpha);
+    }
+
     /**
      * @param {Lch} o 
      * @returns the a component
@@ -494,6 +518,43 @@ class Lch {
             && Lch.getH16(o) <= Lch.getH16(d);
     }
 
+    /**
+     * Finds the maximum chroma at a lightness and hue that is within the sRGB
+     * gamut. The conversion function defines the space of the color, e.g.,
+     * Rgb.cieLchToSRgb . The upper bound should exceed the space's greatest
+     * chroma in the sRGB gamut: the default suits OK LCH, whose greatest is
+     * about 32.3; for CIE LCH, whose greatest is about 133.8, use 135.0.
+     *
+     * @param {number} [l=50.0] lightness
+     * @param {number} [h=0.0] hue
+     * @param {function} [toSRgb=Rgb.okLchToSRgb] conversion to gamma rgb
+     * @param {number} [ub=33.0] chroma upper bound
+     * @param {number} [iterations=16] search iterations
+     * @returns the chroma
+     */
+    static maxChroma (
+        l = 50.0, h = 0.0,
+        toSRgb = Rgb.okLchToSRgb,
+        ub = 33.0,
+        iterations = 16) {
+
+        if (l <= 0.0 || l >= 100.0) {
+            return 0.0;
+        }
+
+        let lb = 0.0;
+        let ubSearch = ub;
+        for (let i = 0; i < iterations; ++i) {
+            const mid = (lb + ubSearch) * 0.5;
+            if (Rgb.isInGamut(toSRgb(new Lch(l, mid, h, 1.0)), 0.000001)) {
+                lb = mid;
+            } else {
+                ubSearch = mid;
+            }
+        }
+        return lb;
+    }
+
     /**
      * @param {Lch} o origin
      * @param {Lch} d destination
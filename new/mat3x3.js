@@ -0,0 +1,182 @@
+'use strict';
+
+class Mat3x3 {
+  /**
+   * Elements are given in row major order.
+   *
+   * @param {number} [m00=1.0] row 0, column 0
+   * @param {number} [m01=0.0] row 0, column 1
+   * @param {number} [m02=0.0] row 0, column 2
+   * @param {number} [m10=0.0] row 1, column 0
+   * @param {number} [m11=1.0] row 1, column 1
+   * @param {number} [m12=0.0] row 1, column 2
+   * @param {number} [m20=0.0] row 2, column 0
+   * @param {number} [m21=0.0] row 2, column 1
+   * @param {number} [m22=1.0] row 2, column 2
+   */
+  constructor (
+    m00 = 1.0, m01 = 0.0, m02 = 0.0,
+    m10 = 0.0, m11 = 1.0, m12 = 0.0,
+    m20 = 0.0, m21 = 0.0, m22 = 1.0) {
+
+    this._m00 = m00; this._m01 = m01; this._m02 = m02;
+    this._m10 = m10; this._m11 = m11; this._m12 = m12;
+    this._m20 = m20; this._m21 = m21; this._m22 = m22;
+
+    Object.freeze(this);
+  }
+
+  get m00 () { return this._m00; }
+
+  get m01 () { return this._m01; }
+
+  get m02 () { return this._m02; }
+
+  get m10 () { return this._m10; }
+
+  get m11 () { return this._m11; }
+
+  get m12 () { return this._m12; }
+
+  get m20 () { return this._m20; }
+
+  get m21 () { return this._m21; }
+
+  get m22 () { return this._m22; }
+
+  get [Symbol.toStringTag] () {
+    return this.constructor.name;
+  }
+
+  toString (precision = 4) {
+    const f = precision >= 0 && precision < 21 ?
+      (v) => v.toFixed(precision) :
+      (v) => v;
+    return [
+      "{\"m00\":", f(this._m00),
+      ",\"m01\":", f(this._m01),
+      ",\"m02\":", f(this._m02),
+      ",\"m10\":", f(this._m10),
+      ",\"m11\":", f(this._m11),
+      ",\"m12\":", f(this._m12),
+      ",\"m20\":", f(this._m20),
+      ",\"m21\":", f(this._m21),
+      ",\"m22\":", f(this._m22),
+      '}'
+    ].join('');
+  }
+
+  /**
+   * @param {Mat3x3} o matrix
+   * @returns the determinant
+   */
+  static determinant (o) {
+    return o.m00 * (o.m11 * o.m22 - o.m12 * o.m21)
+      + o.m01 * (o.m12 * o.m20 - o.m10 * o.m22)
+      + o.m02 * (o.m10 * o.m21 - o.m11 * o.m20);
+  }
+
+  /**
+   * @param {Vec3} cols0 column 0
+   * @param {Vec3} cols1 column 1
+   * @param {Vec3} cols2 column 2
+   * @returns the matrix
+   */
+  static fromColumns (cols0, cols1, cols2) {
+    return new Mat3x3(
+      cols0.x, cols1.x, cols2.x,
+      cols0.y, cols1.y, cols2.y,
+      cols0.z, cols1.z, cols2.z);
+  }
+
+  /**
+   * @param {Vec3} v diagonal
+   * @returns the scale matrix
+   */
+  static fromScale (v) {
+    return new Mat3x3(
+      v.x, 0.0, 0.0,
+      0.0, v.y, 0.0,
+      0.0, 0.0, v.z);
+  }
+
+  /**
+   * Returns the identity if the matrix cannot be inverted.
+   *
+   * @param {Mat3x3} o matrix
+   * @returns the inverse
+   */
+  static inverse (o) {
+    const b01 = o.m22 * o.m11 - o.m12 * o.m21;
+    const b11 = o.m12 * o.m20 - o.m22 * o.m10;
+    const b21 = o.m21 * o.m10 - o.m11 * o.m20;
+
+    const det = o.m00 * b01 + o.m01 * b11 + o.m02 * b21;
+    if (det === 0.0) {
+      return Mat3x3.identity();
+    }
+
+    const detInv = 1.0 / det;
+    return new Mat3x3(
+      b01 * detInv,
+      (o.m02 * o.m21 - o.m22 * o.m01) * detInv,
+      (o.m12 * o.m01 - o.m02 * o.m11) * detInv,
+      b11 * detInv,
+      (o.m22 * o.m00 - o.m02 * o.m20) * detInv,
+      (o.m02 * o.m10 - o.m12 * o.m00) * detInv,
+      b21 * detInv,
+      (o.m01 * o.m20 - o.m21 * o.m00) * detInv,
+      (o.m11 * o.m00 - o.m01 * o.m10) * detInv);
+  }
+
+  /**
+   * @param {Mat3x3} a left operand
+   * @param {Mat3x3} b right operand
+   * @returns the product
+   */
+  static mul (a, b) {
+    return new Mat3x3(
+      a.m00 * b.m00 + a.m01 * b.m10 + a.m02 * b.m20,
+      a.m00 * b.m01 + a.m01 * b.m11 + a.m02 * b.m21,
+      a.m00 * b.m02 + a.m01 * b.m12 + a.m02 * b.m22,
+      a.m10 * b.m00 + a.m11 * b.m10 + a.m12 * b.m20,
+      a.m10 * b.m01 + a.m11 * b.m11 + a.m12 * b.m21,
+      a.m10 * b.m02 + a.m11 * b.m12 + a.m12 * b.m22,
+      a.m20 * b.m00 + a.m21 * b.m10 + a.m22 * b.m20,
+      a.m20 * b.m01 + a.m21 * b.m11 + a.m22 * b.m21,
+      a.m20 * b.m02 + a.m21 * b.m12 + a.m22 * b.m22);
+  }
+
+  /**
+   * @param {Mat3x3} a matrix
+   * @param {Vec3} b vector
+   * @returns the product
+   */
+  static mulVec3 (a, b) {
+    return new Vec3(
+      a.m00 * b.x + a.m01 * b.y + a.m02 * b.z,
+      a.m10 * b.x + a.m11 * b.y + a.m12 * b.z,
+      a.m20 * b.x + a.m21 * b.y + a.m22 * b.z);
+  }
+
+  /**
+   * @param {Mat3x3} o matrix
+   * @returns the transposed matrix
+   */
+  static transpose (o) {
+    return new Mat3x3(
+      o.m00, o.m10, o.m20,
+      o.m01, o.m11, o.m21,
+      o.m02, o.m12, o.m22);
+  }
+
+  /**
+   * @returns the identity matrix
+   */
+  static identity () {
+    return new Mat3x3(
+      1.0, 0.0, 0.0,
+      0.0, 1.0, 0.0,
+      0.0, 0.0, 1.0);
+  }
+}
\ No newline at end of file
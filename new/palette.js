@@ -0,0 +1,419 @@
+'use strict';
+
+/**
+ * Holds a list of gamma sRGB colors indexed by a k-d tree for nearest color
+ * search. Colors are placed in a search space: 'lab', CIE LAB under D65;
+ * 'oklab', OK LAB scaled to the same range as CIE LAB; 'srgb-linear'; or
+ * 'srgb'. Distance is Euclidean in that space, so in 'lab' it is CIE delta E
+ * 1976 and in 'oklab', Lab.deltaEOk. Searches return indices of colors.
+ * The palette is immutable; methods which reorder or remove colors return a
+ * new palette.
+ */
+class Palette {
+    /**
+     * Colors are clamped to the sRGB gamut. Space names are not case
+     * sensitive; an unrecognized name defaults to 'oklab'.
+     *
+     * @param {Rgb[]} [colors=[]] colors
+     * @param {string} [space='oklab'] search space
+     */
+    constructor (colors = [], space = 'oklab') {
+        const len = colors.length;
+        this._colors = Object.freeze(colors.map((c) => Rgb.clamp(c)));
+        const name = String(space).toLowerCase();
+        this._space = Palette.SPACES.includes(name) ? name : 'oklab';
+        this._coords = new Float64Array(len * 3);
+        this._order = new Int32Array(len);
+        this._axes = new Uint8Array(len);
+        for (let i = 0; i < len; ++i) {
+            this._coords.set(Palette.coordsInternal(
+                this._colors[i], this._space), i * 3);
+            this._order[i] = i;
+        }
+        Palette.buildInternal(this._coords, this._order, this._axes, 0, len);
+
+        Object.freeze(this);
+    }
+
+    get colors () { return this._colors; }
+
+    get space () { return this._space; }
+
+    get length () { return this._colors.length; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    [Symbol.iterator] () {
+        return this._colors[Symbol.iterator]();
+    }
+
+    /**
+     * Removes colors within a distance of an earlier color in the palette.
+     *
+     * @param {number} [tolerance=1.0] distance
+     * @returns the new palette
+     */
+    dedup (tolerance = 1.0) {
+        const len = this._colors.length;
+        const c = this._coords;
+        const keep = new Uint8Array(len).fill(1);
+        for (let i = 0; i < len; ++i) {
+            if (keep[i] === 0) { continue; }
+            const near = this.searchInternal(
+                c[i * 3], c[i * 3 + 1], c[i * 3 + 2], len, tolerance);
+            for (const j of near) {
+                if (j > i) { keep[j] = 0; }
+            }
+        }
+        return new Palette(
+            this._colors.filter((_, i) => keep[i] !== 0), this._space);
+    }
+
+    /**
+     * Gets a color by index. Returns clear black if out of range.
+     *
+     * @param {number} i index
+     * @returns the color
+     */
+    get (i) {
+        const c = this._colors[i];
+        return c !== undefined ? c : Rgb.clear();
+    }
+
+    /**
+     * Finds the indices of the colors nearest to a color, nearest first.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} [k=1] number of colors
+     * @returns the indices
+     */
+    kNearest (o, k = 1) {
+        const q = Palette.coordsInternal(Rgb.clamp(o), this._space);
+        return this.searchInternal(q[0], q[1], q[2], k, Number.MAX_VALUE);
+    }
+
+    /**
+     * Finds the index of the color nearest to a color. Of equally near
+     * colors, the first is chosen. Returns -1 if the palette is empty.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @returns the index
+     */
+    nearest (o) {
+        const q = Palette.coordsInternal(Rgb.clamp(o), this._space);
+        return this.nearestInternal(q[0], q[1], q[2]);
+    }
+
+    /**
+     * Finds the index of the color nearest to coordinates in the palette's
+     * space.
+     *
+     * @param {number} c0 first coordinate
+     * @param {number} c1 second coordinate
+     * @param {number} c2 third coordinate
+     * @returns the index
+     */
+    nearestInternal (c0, c1, c2) {
+        const coords = this._coords;
+        const order = this._order;
+        const axes = this._axes;
+        const q = [c0, c1, c2];
+        let best = -1;
+        let bestDist = Number.MAX_VALUE;
+        const visit = (lo, hi) => {
+            if (lo >= hi) { return; }
+            const m = (lo + hi) >> 1;
+            const i = order[m];
+            const j = i * 3;
+            const d0 = c0 - coords[j];
+            const d1 = c1 - coords[j + 1];
+            const d2 = c2 - coords[j + 2];
+            const d = d0 * d0 + d1 * d1 + d2 * d2;
+            if (d < bestDist || (d === bestDist && i < best)) {
+                bestDist = d;
+                best = i;
+            }
+
+            const diff = q[axes[m]] - coords[j + axes[m]];
+            if (diff < 0.0) {
+                visit(lo, m);
+                if (diff * diff <= bestDist) { visit(m + 1, hi); }
+            } else {
+                visit(m + 1, hi);
+                if (diff * diff <= bestDist) { visit(lo, m); }
+            }
+        };
+        visit(0, order.length);
+        return best;
+    }
+
+    /**
+     * Finds the indices of up to k colors within a distance of coordinates
+     * in the palette's space, nearest first.
+     *
+     * @param {number} c0 first coordinate
+     * @param {number} c1 second coordinate
+     * @param {number} c2 third coordinate
+     * @param {number} k number of colors
+     * @param {number} radius distance
+     * @returns the indices
+     */
+    searchInternal (c0, c1, c2, k, radius) {
+        const coords = this._coords;
+        const order = this._order;
+        const axes = this._axes;
+        const q = [c0, c1, c2];
+        const n = Math.max(k | 0, 0);
+        const found = [];
+        const dists = [];
+        const r2 = radius * radius;
+        const bound = () => found.length < n ? r2 : dists[dists.length - 1];
+        const visit = (lo, hi) => {
+            if (lo >= hi || n === 0) { return; }
+            const m = (lo + hi) >> 1;
+            const i = order[m];
+            const j = i * 3;
+            const d0 = c0 - coords[j];
+            const d1 = c1 - coords[j + 1];
+            const d2 = c2 - coords[j + 2];
+            const d = d0 * d0 + d1 * d1 + d2 * d2;
+            if (d <= bound()) {
+                let at = found.length;
+                while (at > 0 && (dists[at - 1] > d
+                    || (dists[at - 1] === d && found[at - 1] > i))) {
+                    --at;
+                }
+                found.splice(at, 0, i);
+                dists.splice(at, 0, d);
+                if (found.length > n) {
+                    found.pop();
+                    dists.pop();
+                }
+            }
+
+            const diff = q[axes[m]] - coords[j + axes[m]];
+            if (diff < 0.0) {
+                visit(lo, m);
+                if (diff * diff <= bound()) { visit(m + 1, hi); }
+            } else {
+                visit(m + 1, hi);
+                if (diff * diff <= bound()) { visit(lo, m); }
+            }
+        };
+        visit(0, order.length);
+        return found;
+    }
+
+    /**
+     * Sorts colors by OK LCH hue, then lightness. Colors whose chroma is
+     * less than the tolerance are treated as grays and placed first, sorted
+     * by lightness.
+     *
+     * @param {number} [grayTolerance=1.0] chroma tolerance
+     * @returns the new palette
+     */
+    sortHue (grayTolerance = 1.0) {
+        const lchs = this._colors.map((c) => Rgb.sRgbToOkLch(c));
+        const gray = (o) => o.c < grayTolerance;
+        return this.sortInternal((a, b) => {
+            const o = lchs[a];
+            const d = lchs[b];
+            if (gray(o) !== gray(d)) { return gray(o) ? -1 : 1; }
+            if (!gray(o) && o.h !== d.h) { return o.h - d.h; }
+            return o.l - d.l;
+        });
+    }
+
+    /**
+     * Sorts colors by a function which compares two indices. Ties keep
+     * their order.
+     *
+     * @param {function} comparator index comparator
+     * @returns the new palette
+     */
+    sortInternal (comparator) {
+        const indices = this._colors.map((_, i) => i);
+        indices.sort((a, b) => comparator(a, b) || a - b);
+        return new Palette(
+            indices.map((i) => this._colors[i]), this._space);
+    }
+
+    /**
+     * Sorts colors by OK LCH lightness, from dark to light.
+     *
+     * @returns the new palette
+     */
+    sortLight () {
+        const lchs = this._colors.map((c) => Rgb.sRgbToOkLch(c));
+        return this.sortInternal((a, b) => lchs[a].l - lchs[b].l);
+    }
+
+    /**
+     * Sorts colors into a smooth path, as in the traveling salesman problem:
+     * from the darkest color, each step goes to the nearest color not yet
+     * visited, then the path is shortened by reversing sections, 2-opt,
+     * until no reversal helps.
+     *
+     * @param {number} [passes=16] maximum improvement passes
+     * @returns the new palette
+     */
+    sortPath (passes = 16) {
+        const len = this._colors.length;
+        if (len < 3) { return this.sortLight(); }
+        const c = this._coords;
+        const dist = (a, b) => {
+            const d0 = c[a * 3] - c[b * 3];
+            const d1 = c[a * 3 + 1] - c[b * 3 + 1];
+            const d2 = c[a * 3 + 2] - c[b * 3 + 2];
+            return Math.sqrt(d0 * d0 + d1 * d1 + d2 * d2);
+        };
+
+        let start = 0;
+        let minL = Number.MAX_VALUE;
+        for (let i = 0; i < len; ++i) {
+            const l = Rgb.sRgbToOkLch(this._colors[i]).l;
+            if (l < minL) {
+                minL = l;
+                start = i;
+            }
+        }
+
+        const path = [start];
+        const visited = new Uint8Array(len);
+        visited[start] = 1;
+        for (let step = 1; step < len; ++step) {
+            const prev = path[step - 1];
+            let next = -1;
+            let near = Number.MAX_VALUE;
+            for (let i = 0; i < len; ++i) {
+                if (visited[i] !== 0) { continue; }
+                const d = dist(prev, i);
+                if (d < near) {
+                    near = d;
+                    next = i;
+                }
+            }
+            visited[next] = 1;
+            path.push(next);
+        }
+
+        for (let pass = 0; pass < passes; ++pass) {
+            let improved = false;
+            for (let i = 0; i < len - 2; ++i) {
+                for (let j = i + 2; j < len; ++j) {
+                    const a = path[i];
+                    const b = path[i + 1];
+                    const e = path[j];
+                    const before = dist(a, b)
+                        + (j + 1 < len ? dist(e, path[j + 1]) : 0.0);
+                    const after = dist(a, e)
+                        + (j + 1 < len ? dist(b, path[j + 1]) : 0.0);
+                    if (after < before - 1e-9) {
+                        for (let lo = i + 1, hi = j; lo < hi; ++lo, --hi) {
+                            const swap = path[lo];
+                            path[lo] = path[hi];
+                            path[hi] = swap;
+                        }
+                        improved = true;
+                    }
+                }
+            }
+            if (!improved) { break; }
+        }
+
+        return new Palette(path.map((i) => this._colors[i]), this._space);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        return [
+            "{\"space\":\"", this._space,
+            "\",\"colors\":[",
+            this._colors.map((c) => c.toString(precision)).join(','),
+            ']}'
+        ].join('');
+    }
+
+    /**
+     * Finds the indices of the colors within a distance of a color, nearest
+     * first.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {number} radius distance
+     * @returns the indices
+     */
+    within (o, radius) {
+        const q = Palette.coordsInternal(Rgb.clamp(o), this._space);
+        return this.searchInternal(
+            q[0], q[1], q[2], this._colors.length, radius);
+    }
+
+    /**
+     * Builds an implicit k-d tree over a range of indices. The median of
+     * each range, split on the axis of greatest spread, is its root, with
+     * lesser coordinates to its left and greater to its right.
+     *
+     * @param {Float64Array} coords coordinates
+     * @param {Int32Array} order indices in tree order
+     * @param {Uint8Array} axes split axis of each root
+     * @param {number} lo lower bound, inclusive
+     * @param {number} hi upper bound, exclusive
+     */
+    static buildInternal (coords, order, axes, lo, hi) {
+        if (hi - lo < 2) { return; }
+        const mn = [Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE];
+        const mx = [-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE];
+        for (let k = lo; k < hi; ++k) {
+            for (let a = 0; a < 3; ++a) {
+                const v = coords[order[k] * 3 + a];
+                mn[a] = Math.min(mn[a], v);
+                mx[a] = Math.max(mx[a], v);
+            }
+        }
+        let axis = 0;
+        for (let a = 1; a < 3; ++a) {
+            if (mx[a] - mn[a] > mx[axis] - mn[axis]) { axis = a; }
+        }
+
+        const sorted = Array.from(order.subarray(lo, hi)).sort((a, b) =>
+            coords[a * 3 + axis] - coords[b * 3 + axis] || a - b);
+        order.set(sorted, lo);
+        const m = (lo + hi) >> 1;
+        axes[m] = axis;
+        Palette.buildInternal(coords, order, axes, lo, m);
+        Palette.buildInternal(coords, order, axes, m + 1, hi);
+    }
+
+    /**
+     * Finds the coordinates of a gamma sRGB color in a search space.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {string} space search space
+     * @returns the coordinates
+     */
+    static coordsInternal (o, space) {
+        if (space === 'lab') {
+            const lab = Rgb.sRgbToCieLab(o);
+            return [lab.l, lab.a, lab.b];
+        }
+        if (space === 'oklab') {
+            const lab = Rgb.sRgbToOkLab(o);
+            return [lab.l, lab.a, lab.b];
+        }
+        if (space === 'srgb-linear') {
+            const l = Rgb.sRgbGammaToLinear(o);
+            return [l.r, l.g, l.b];
+        }
+        return [o.r, o.g, o.b];
+    }
+}
+
+/**
+ * Names of the supported search spaces.
+ */
+Palette.SPACES = Object.freeze(['lab', 'oklab', 'srgb', 'srgb-linear']);
\ No newline at end of file
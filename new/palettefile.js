@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * Reads and writes palette files: GIMP .gpl, Adobe Swatch Exchange .ase,
+ * JASC .pal, Paint.NET .txt and lists of hexadecimal codes, .hex. Readers
+ * return an object with two arrays of equal length, 'colors', gamma sRGB
+ * colors, and 'names', swatch names. Where a format has no names, names are
+ * empty strings. Readers return null when a file is malformed. Text formats
+ * are read from and written to strings; .ase, from an ArrayBuffer or
+ * Uint8Array to a Uint8Array.
+ */
+class PaletteFile {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Formats a color as six uppercase hexadecimal digits without a hash.
+     *
+     * @param {Rgb} o color
+     * @returns the string
+     */
+    static hexInternal (o) {
+        return [
+            Rgb.getRInt(o, 8),
+            Rgb.getGInt(o, 8),
+            Rgb.getBInt(o, 8)
+        ].map((c) => c.toString(16).padStart(2, '0'))
+            .join('').toUpperCase();
+    }
+
+    /**
+     * Reads an Adobe Swatch Exchange file. RGB, CMYK, LAB and Gray swatches
+     * are supported; groups are flattened. LAB swatches are relative to D50
+     * and are converted to sRGB, then clamped; the returned object has a
+     * third array, 'labs', which holds the CIE LAB color for LAB swatches
+     * and null for others. CMYK swatches are converted without a color
+     * profile.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer file contents
+     * @returns the palette
+     */
+    static readAse (buffer) {
+        const bytes = buffer instanceof Uint8Array ?
+            buffer : new Uint8Array(buffer);
+        const view = new DataView(
+            bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const len = view.byteLength;
+        if (len < 12
+            || view.getUint32(0, false) !== 0x41534546) {
+            return null;
+        }
+
+        const colors = [];
+        const names = [];
+        const labs = [];
+        const blockCount = view.getUint32(8, false);
+        let cursor = 12;
+        for (let i = 0; i < blockCount; ++i) {
+            if (cursor + 6 > len) { return null; }
+            const type = view.getUint16(cursor, false);
+            const blockLen = view.getUint32(cursor + 2, false);
+            const start = cursor + 6;
+            cursor = start + blockLen;
+            if (cursor > len) { return null; }
+            if (type !== 0x0001) { continue; }
+            if (start + 2 > cursor) { return null; }
+
+            const nameLen = view.getUint16(start, false);
+            const modelOffset = start + 2 + nameLen * 2;
+            if (modelOffset + 4 > cursor) { return null; }
+            let name = '';
+            for (let j = 0; j < nameLen; ++j) {
+                const code = view.getUint16(start + 2 + j * 2, false);
+                if (code === 0) { break; }
+                name += String.fromCharCode(code);
+            }
+
+            let model = '';
+            for (let j = 0; j < 4; ++j) {
+                model += String.fromCharCode(
+                    view.getUint8(modelOffset + j));
+            }
+            const channels = model === 'CMYK' ? 4 : model === 'Gray' ? 1 : 3;
+            if (modelOffset + 4 + channels * 4 > cursor) { return null; }
+
+            const f = (j) => view.getFloat32(modelOffset + 4 + j * 4, false);
+            let rgb = null;
+            let lab = null;
+            switch (model) {
+                case 'RGB ':
+                    rgb = new Rgb(f(0), f(1), f(2), 1.0);
+                    break;
+                case 'CMYK': {
+                    const k = 1.0 - f(3);
+                    rgb = new Rgb(
+                        (1.0 - f(0)) * k,
+                        (1.0 - f(1)) * k,
+                        (1.0 - f(2)) * k,
+                        1.0);
+                    break;
+                }
+                case 'LAB ':
+                    lab = new Lab(f(0) * 100.0, f(1), f(2), 1.0);
+                    rgb = Rgb.clamp(Rgb.cieLabToSRgb(lab, Xyz.d50()));
+                    break;
+                case 'Gray':
+                    rgb = new Rgb(f(0), f(0), f(0), 1.0);
+                    break;
+                default:
+                    return null;
+            }
+
+            colors.push(rgb);
+            names.push(name);
+            labs.push(lab);
+        }
+
+        return { colors: colors, names: names, labs: labs };
+    }
+
+    /**
+     * Reads a GIMP palette. The Aseprite extension, a 'Channels: RGBA'
+     * header followed by four channels per line, is supported.
+     *
+     * @param {string} str file contents
+     * @returns the palette
+     */
+    static readGpl (str) {
+        const lines = str.split(/\r?\n/);
+        if (lines[0].trim() !== 'GIMP Palette') { return null; }
+
+        const colors = [];
+        const names = [];
+        let hasAlpha = false;
+        const len = lines.length;
+        for (let i = 1; i < len; ++i) {
+            const line = lines[i].trim();
+            if (line.length < 1 || line[0] === '#') { continue; }
+            if (/^channels:\s*rgba$/i.test(line)) {
+                hasAlpha = true;
+                continue;
+            }
+            if (/^[a-z]+:/i.test(line)) { continue; }
+
+            const channelCount = hasAlpha ? 4 : 3;
+            const tokens = line.split(/\s+/);
+            const ints = tokens.slice(0, channelCount).map(
+                (t) => parseInt(t, 10));
+            if (ints.length < channelCount
+                || ints.some(Number.isNaN)) {
+                return null;
+            }
+
+            colors.push(Rgb.from8s(ints[0], ints[1], ints[2],
+                hasAlpha ? ints[3] : 255));
+            names.push(tokens.slice(channelCount).join(' '));
+        }
+
+        return { colors: colors, names: names };
+    }
+
+    /**
+     * Reads a list of hexadecimal codes, one per line. A leading hash is
+     * optional. Codes may have 3, 4, 6 or 8 digits.
+     *
+     * @param {string} str file contents
+     * @returns the palette
+     */
+    static readHex (str) {
+        const colors = [];
+        const names = [];
+        const lines = str.split(/\r?\n/);
+        for (const raw of lines) {
+            const line = raw.trim().toLowerCase();
+            if (line.length < 1) { continue; }
+            const rgb = CssColor.parseHexInternal(
+                line[0] === '#' ? line.substring(1) : line);
+            if (rgb === null) { return null; }
+            colors.push(rgb);
+            names.push('');
+        }
+        return { colors: colors, names: names };
+    }
+
+    /**
+     * Reads a JASC palette, as written by Paint Shop Pro and Aseprite.
+     *
+     * @param {string} str file contents
+     * @returns the palette
+     */
+    static readJasc (str) {
+        const lines = str.split(/\r?\n/).map((s) => s.trim());
+        if (lines.length < 3
+            || lines[0] !== 'JASC-PAL'
+            || lines[1] !== '0100') {
+            return null;
+        }
+
+        const count = parseInt(lines[2], 10);
+        if (Number.isNaN(count) || lines.length < 3 + count) {
+            return null;
+        }
+
+        const colors = [];
+        const names = [];
+        for (let i = 0; i < count; ++i) {
+            const ints = lines[3 + i].split(/\s+/).map(
+                (t) => parseInt(t, 10));
+            if (ints.length < 3 || ints.slice(0, 3).some(Number.isNaN)) {
+                return null;
+            }
+            colors.push(Rgb.from8s(ints[0], ints[1], ints[2], 255));
+            names.push('');
+        }
+        return { colors: colors, names: names };
+    }
+
+    /**
+     * Reads a Paint.NET palette. Lines beginning with a semicolon are
+     * comments; others hold colors as AARRGGBB hexadecimal codes.
+     *
+     * @param {string} str file contents
+     * @returns the palette
+     */
+    static readPdn (str) {
+        const colors = [];
+        const names = [];
+        const lines = str.split(/\r?\n/);
+        for (const raw of lines) {
+            const line = raw.trim();
+            if (line.length < 1 || line[0] === ';') { continue; }
+            if (!/^[0-9a-f]{8}$/i.test(line)) { return null; }
+            const i = parseInt(line, 16);
+            colors.push(Rgb.from8s(
+                (i >> 0x10) & 0xff,
+                (i >> 0x08) & 0xff,
+                i & 0xff,
+                (i >>> 0x18) & 0xff));
+            names.push('');
+        }
+        return { colors: colors, names: names };
+    }
+
+    /**
+     * Writes an Adobe Swatch Exchange file. The color model may be 'RGB',
+     * 'CMYK', 'LAB' or 'Gray'. LAB swatches are relative to D50. CMYK
+     * swatches are converted without a color profile. Gray swatches use
+     * the relative luminance, gamma encoded. Other models default to 'RGB'.
+     * Swatches are written as global colors.
+     *
+     * @param {Rgb[]} colors gamma sRGB colors
+     * @param {string[]} [names=[]] swatch names
+     * @param {string} [model='RGB'] color model
+     * @returns the file contents
+     */
+    static writeAse (colors, names = [], model = 'RGB') {
+        if (model !== 'CMYK' && model !== 'LAB' && model !== 'Gray') {
+            model = 'RGB';
+        }
+        const floatCount = model === 'CMYK' ? 4 : model === 'Gray' ? 1 : 3;
+        const modelCode = model.padEnd(4, ' ').substring(0, 4);
+        const nameStrs = colors.map((o, i) => names[i] || '');
+
+        let byteLen = 12;
+        for (const name of nameStrs) {
+            byteLen += 6 + 2 + (name.length + 1) * 2 + 4
+                + floatCount * 4 + 2;
+        }
+
+        const bytes = new Uint8Array(byteLen);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x41534546, false);
+        view.setUint16(4, 1, false);
+        view.setUint16(6, 0, false);
+        view.setUint32(8, colors.length, false);
+
+        let cursor = 12;
+        const len = colors.length;
+        for (let i = 0; i < len; ++i) {
+            const o = colors[i];
+            const name = nameStrs[i];
+            const nameLen = name.length + 1;
+            view.setUint16(cursor, 0x0001, false);
+            view.setUint32(cursor + 2,
+                2 + nameLen * 2 + 4 + floatCount * 4 + 2, false);
+            cursor += 6;
+
+            view.setUint16(cursor, nameLen, false);
+            cursor += 2;
+            for (let j = 0; j < name.length; ++j) {
+                view.setUint16(cursor, name.charCodeAt(j), false);
+                cursor += 2;
+            }
+            view.setUint16(cursor, 0, false);
+            cursor += 2;
+
+            for (let j = 0; j < 4; ++j) {
+                view.setUint8(cursor + j, modelCode.charCodeAt(j));
+            }
+            cursor += 4;
+
+            let floats = null;
+            if (model === 'CMYK') {
+                const c = Rgb.clamp(o);
+                const k = 1.0 - Math.max(c.r, c.g, c.b);
+                const kInv = k < 1.0 ? 1.0 / (1.0 - k) : 0.0;
+                floats = [
+                    (1.0 - c.r - k) * kInv,
+                    (1.0 - c.g - k) * kInv,
+                    (1.0 - c.b - k) * kInv,
+                    k];
+            } else if (model === 'LAB') {
+                const lab = Rgb.sRgbToCieLab(o, Xyz.d50());
+                floats = [lab.l * 0.01, lab.a, lab.b];
+            } else if (model === 'Gray') {
+                floats = [Rgb.sRgbLinearToGammaInternal(
+                    Contrast.luminance(o))];
+            } else {
+                floats = [o.r, o.g, o.b];
+            }
+
+            for (const v of floats) {
+                view.setFloat32(cursor, v, false);
+                cursor += 4;
+            }
+
+            view.setUint16(cursor, 0, false);
+            cursor += 2;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Writes a GIMP palette. When any color is translucent, the Aseprite
+     * extension for alpha is used. Missing names are replaced with the
+     * color's hexadecimal code.
+     *
+     * @param {Rgb[]} colors gamma sRGB colors
+     * @param {string[]} [names=[]] swatch names
+     * @param {string} [title='Palette'] palette name
+     * @param {number} [columns=0] display columns
+     * @returns the file contents
+     */
+    static writeGpl (colors, names = [], title = 'Palette', columns = 0) {
+        const hasAlpha = colors.some((o) => Rgb.getAlphaInt(o, 8) < 255);
+        const lines = [
+            'GIMP Palette',
+            'Name: ' + title,
+            'Columns: ' + columns
+        ];
+        if (hasAlpha) { lines.push('Channels: RGBA'); }
+        lines.push('#');
+
+        const len = colors.length;
+        for (let i = 0; i < len; ++i) {
+            const o = colors[i];
+            const ints = [
+                Rgb.getRInt(o, 8),
+                Rgb.getGInt(o, 8),
+                Rgb.getBInt(o, 8)
+            ];
+            if (hasAlpha) { ints.push(Rgb.getAlphaInt(o, 8)); }
+            const name = names[i] || PaletteFile.hexInternal(o);
+            lines.push(ints.map((v) => v.toString().padStart(3, ' '))
+                .join(' ') + '\t' + name);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Writes a list of hexadecimal codes, one per line, without a hash.
+     * Alpha is omitted.
+     *
+     * @param {Rgb[]} colors gamma sRGB colors
+     * @returns the file contents
+     */
+    static writeHex (colors) {
+        return colors.map((o) => PaletteFile.hexInternal(o).toLowerCase())
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Writes a JASC palette. Alpha is omitted.
+     *
+     * @param {Rgb[]} colors gamma sRGB colors
+     * @returns the file contents
+     */
+    static writeJasc (colors) {
+        const lines = ['JASC-PAL', '0100', colors.length.toString()];
+        for (const o of colors) {
+            lines.push([
+                Rgb.getRInt(o, 8),
+                Rgb.getGInt(o, 8),
+                Rgb.getBInt(o, 8)
+            ].join(' '));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Writes a Paint.NET palette. Paint.NET reads at most 96 colors; the
+     * rest are still written.
+     *
+     * @param {Rgb[]} colors gamma sRGB colors
+     * @returns the file contents
+     */
+    static writePdn (colors) {
+        const lines = [
+            '; paint.net Palette File',
+            '; Lines that start with a semicolon are comments.',
+            '; Colors are written as AARRGGBB.'
+        ];
+        for (const o of colors) {
+            lines.push(Rgb.getAlphaInt(o, 8).toString(16)
+                .padStart(2, '0').toUpperCase()
+                + PaletteFile.hexInternal(o));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+}
\ No newline at end of file
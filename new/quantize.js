@@ -0,0 +1,432 @@
+'use strict';
+
+/**
+ * Extracts a representative palette from a pixel buffer, such as the data of
+ * a canvas ImageData: an RGBA Uint8ClampedArray with 4 bytes per pixel. The
+ * buffer is first reduced to a histogram of unique opaque colors; pixels
+ * whose alpha is less than a threshold are ignored. Each method returns an
+ * object with three arrays of equal length, 'rgbs', gamma sRGB colors,
+ * 'labs', CIE LAB colors, and 'counts', the number of pixels represented by
+ * each color. Entries are sorted by count, from greatest to least.
+ */
+class Quantize {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Tallies the unique colors in a pixel buffer. Returns an object with
+     * 'keys', colors packed as 24 bit integers, and 'counts'.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} [alphaThreshold=128] minimum alpha
+     * @returns the histogram
+     */
+    static histogram (pixels, alphaThreshold = 128) {
+        const tally = new Map();
+        const len = pixels.length - pixels.length % 4;
+        for (let i = 0; i < len; i += 4) {
+            if (pixels[i + 3] < alphaThreshold) { continue; }
+            const key = pixels[i] << 0x10
+                | pixels[i + 1] << 0x08
+                | pixels[i + 2];
+            tally.set(key, (tally.get(key) || 0) + 1);
+        }
+
+        const keys = new Uint32Array(tally.size);
+        const counts = new Uint32Array(tally.size);
+        let j = 0;
+        for (const [key, count] of tally) {
+            keys[j] = key;
+            counts[j] = count;
+            ++j;
+        }
+        return { keys: keys, counts: counts };
+    }
+
+    /**
+     * Clusters colors with k-means in CIE LAB. Clusters are seeded by median
+     * cut so that results are deterministic. Iteration stops early when no
+     * center moves by more than the tolerance. Clusters which lose all their
+     * members are dropped.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} [count=8] palette size
+     * @param {number} [iterations=16] maximum iterations
+     * @param {number} [tol=0.5] center movement tolerance
+     * @param {number} [alphaThreshold=128] minimum alpha
+     * @returns the palette
+     */
+    static kMeans (
+        pixels,
+        count = 8,
+        iterations = 16,
+        tol = 0.5,
+        alphaThreshold = 128) {
+
+        const hist = Quantize.histogram(pixels, alphaThreshold);
+        const keys = hist.keys;
+        const weights = hist.counts;
+        const len = keys.length;
+
+        const ls = new Float64Array(len);
+        const as = new Float64Array(len);
+        const bs = new Float64Array(len);
+        for (let i = 0; i < len; ++i) {
+            const lab = Rgb.sRgbToCieLab(Quantize.unpackInternal(keys[i]));
+            ls[i] = lab.l;
+            as[i] = lab.a;
+            bs[i] = lab.b;
+        }
+
+        let centers = Quantize.medianCutInternal(hist, count).labs
+            .map((lab) => [lab.l, lab.a, lab.b]);
+        let sums = [];
+        const tolSq = tol * tol;
+        const itrs = Math.max(iterations, 1);
+        for (let itr = 0; itr < itrs; ++itr) {
+            const k = centers.length;
+            sums = centers.map(() => [0.0, 0.0, 0.0, 0]);
+            for (let i = 0; i < len; ++i) {
+                let minDist = Number.MAX_VALUE;
+                let jMin = 0;
+                for (let j = 0; j < k; ++j) {
+                    const c = centers[j];
+                    const dl = ls[i] - c[0];
+                    const da = as[i] - c[1];
+                    const db = bs[i] - c[2];
+                    const dist = dl * dl + da * da + db * db;
+                    if (dist < minDist) {
+                        minDist = dist;
+                        jMin = j;
+                    }
+                }
+
+                const w = weights[i];
+                const s = sums[jMin];
+                s[0] += ls[i] * w;
+                s[1] += as[i] * w;
+                s[2] += bs[i] * w;
+                s[3] += w;
+            }
+
+            let moved = false;
+            const next = [];
+            const nextSums = [];
+            for (let j = 0; j < k; ++j) {
+                const s = sums[j];
+                if (s[3] < 1) { continue; }
+                const c = centers[j];
+                const n = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+                const dl = n[0] - c[0];
+                const da = n[1] - c[1];
+                const db = n[2] - c[2];
+                if (dl * dl + da * da + db * db > tolSq) { moved = true; }
+                next.push(n);
+                nextSums.push(s);
+            }
+
+            centers = next;
+            sums = nextSums;
+            if (!moved) { break; }
+        }
+
+        return Quantize.resultInternal(centers.map((c, j) => {
+            const lab = new Lab(c[0], c[1], c[2], 1.0);
+            return {
+                rgb: Rgb.clamp(Rgb.cieLabToSRgb(lab)),
+                lab: lab,
+                count: sums[j][3]
+            };
+        }));
+    }
+
+    /**
+     * Divides the RGB cube into boxes by median cut. The box with the
+     * greatest squared error is split along its widest channel. Rather than
+     * split at the median, which may cut through a cluster, the box is split
+     * where the summed squared error of the two halves is least. Splitting
+     * stops when the palette size is met or no box can be split. Each box's
+     * color is the weighted average of its members.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} [count=8] palette size
+     * @param {number} [alphaThreshold=128] minimum alpha
+     * @returns the palette
+     */
+    static medianCut (pixels, count = 8, alphaThreshold = 128) {
+        return Quantize.medianCutInternal(
+            Quantize.histogram(pixels, alphaThreshold), count);
+    }
+
+    /**
+     * @param {object} hist histogram
+     * @param {number} count palette size
+     * @returns the palette
+     */
+    static medianCutInternal (hist, count) {
+        const keys = hist.keys;
+        const weights = hist.counts;
+        const len = keys.length;
+        if (len < 1) { return Quantize.resultInternal([]); }
+
+        const channel = (key, shift) => (key >> shift) & 0xff;
+        const measure = (idcs) => {
+            let maxRange = -1;
+            let shift = 0;
+            let error = 0.0;
+            for (let s = 0; s < 24; s += 8) {
+                let lb = 255;
+                let ub = 0;
+                let n = 0;
+                let sum = 0.0;
+                let sumSq = 0.0;
+                for (const i of idcs) {
+                    const v = channel(keys[i], s);
+                    const w = weights[i];
+                    if (v < lb) { lb = v; }
+                    if (v > ub) { ub = v; }
+                    n += w;
+                    sum += v * w;
+                    sumSq += v * v * w;
+                }
+                error += sumSq - sum * sum / n;
+                if (ub - lb > maxRange) {
+                    maxRange = ub - lb;
+                    shift = s;
+                }
+            }
+            return {
+                idcs: idcs,
+                error: maxRange > 0 ? error : 0.0,
+                shift: shift
+            };
+        };
+
+        const all = new Array(len);
+        for (let i = 0; i < len; ++i) { all[i] = i; }
+        const boxes = [measure(all)];
+
+        const target = Math.max(count, 1);
+        while (boxes.length < target) {
+            let jMax = -1;
+            let maxError = 0.0;
+            const boxLen = boxes.length;
+            for (let j = 0; j < boxLen; ++j) {
+                if (boxes[j].error > maxError) {
+                    maxError = boxes[j].error;
+                    jMax = j;
+                }
+            }
+            if (jMax < 0) { break; }
+
+            const box = boxes[jMax];
+            const shift = box.shift;
+            const idcs = box.idcs.slice().sort((a, b) =>
+                channel(keys[a], shift) - channel(keys[b], shift));
+
+            let n = 0;
+            let sum = 0.0;
+            let sumSq = 0.0;
+            for (const i of idcs) {
+                const v = channel(keys[i], shift);
+                const w = weights[i];
+                n += w;
+                sum += v * w;
+                sumSq += v * v * w;
+            }
+
+            let nLeft = 0;
+            let sumLeft = 0.0;
+            let sumSqLeft = 0.0;
+            let minError = Number.MAX_VALUE;
+            let cut = 1;
+            const idcsLen = idcs.length;
+            for (let k = 0; k < idcsLen - 1; ++k) {
+                const v = channel(keys[idcs[k]], shift);
+                const w = weights[idcs[k]];
+                nLeft += w;
+                sumLeft += v * w;
+                sumSqLeft += v * v * w;
+                if (v === channel(keys[idcs[k + 1]], shift)) { continue; }
+
+                const nRight = n - nLeft;
+                const sumRight = sum - sumLeft;
+                const err = sumSqLeft - sumLeft * sumLeft / nLeft
+                    + (sumSq - sumSqLeft) - sumRight * sumRight / nRight;
+                if (err < minError) {
+                    minError = err;
+                    cut = k + 1;
+                }
+            }
+
+            boxes.splice(jMax, 1,
+                measure(idcs.slice(0, cut)),
+                measure(idcs.slice(cut)));
+        }
+
+        return Quantize.resultInternal(boxes.map((box) => {
+            let r = 0.0;
+            let g = 0.0;
+            let b = 0.0;
+            let n = 0;
+            for (const i of box.idcs) {
+                const key = keys[i];
+                const w = weights[i];
+                r += channel(key, 16) * w;
+                g += channel(key, 8) * w;
+                b += channel(key, 0) * w;
+                n += w;
+            }
+            const rgb = new Rgb(
+                r / (n * 255.0),
+                g / (n * 255.0),
+                b / (n * 255.0),
+                1.0);
+            return { rgb: rgb, lab: Rgb.sRgbToCieLab(rgb), count: n };
+        }));
+    }
+
+    /**
+     * Quantizes colors with an octree of depth 8. Leaves whose branches
+     * hold the fewest pixels are merged into their parents, starting from
+     * the deepest level, until the palette size is met. Where merging all of
+     * a node's leaves would overshoot, only its lightest are merged, so the
+     * palette has exactly the requested size when there are enough colors.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} [count=8] palette size
+     * @param {number} [alphaThreshold=128] minimum alpha
+     * @returns the palette
+     */
+    static octree (pixels, count = 8, alphaThreshold = 128) {
+        const hist = Quantize.histogram(pixels, alphaThreshold);
+        const keys = hist.keys;
+        const weights = hist.counts;
+        const len = keys.length;
+
+        const newNode = () => ({
+            r: 0, g: 0, b: 0, count: 0, total: 0,
+            children: null, leaf: false
+        });
+
+        const levels = [];
+        for (let d = 0; d < 8; ++d) { levels.push([]); }
+
+        const root = newNode();
+        let leafCount = 0;
+        for (let i = 0; i < len; ++i) {
+            const key = keys[i];
+            const r = (key >> 0x10) & 0xff;
+            const g = (key >> 0x08) & 0xff;
+            const b = key & 0xff;
+            const w = weights[i];
+
+            let node = root;
+            for (let d = 0; d < 8 && !node.leaf; ++d) {
+                const bit = 7 - d;
+                const idx = ((r >> bit) & 1) << 2
+                    | ((g >> bit) & 1) << 1
+                    | ((b >> bit) & 1);
+                if (node.children === null) {
+                    node.children = new Array(8).fill(null);
+                    levels[d].push(node);
+                }
+                if (node.children[idx] === null) {
+                    const child = newNode();
+                    if (d === 7) {
+                        child.leaf = true;
+                        ++leafCount;
+                    }
+                    node.children[idx] = child;
+                }
+                node = node.children[idx];
+            }
+
+            node.r += r * w;
+            node.g += g * w;
+            node.b += b * w;
+            node.count += w;
+        }
+
+        const target = Math.max(count, 1);
+        for (let d = 7; d >= 0 && leafCount > target; --d) {
+            const level = levels[d];
+            for (const node of level) {
+                node.total = 0;
+                for (const child of node.children) {
+                    if (child !== null) { node.total += child.count; }
+                }
+            }
+            level.sort((a, b) => b.total - a.total);
+            while (level.length > 0 && leafCount > target) {
+                const node = level.pop();
+                const children = node.children
+                    .map((child, idx) => ({ child: child, idx: idx }))
+                    .filter((e) => e.child !== null)
+                    .sort((a, b) => a.child.count - b.child.count);
+                const merged = Math.min(
+                    children.length, leafCount - target + 1);
+                for (let i = 0; i < merged; ++i) {
+                    const child = children[i].child;
+                    node.r += child.r;
+                    node.g += child.g;
+                    node.b += child.b;
+                    node.count += child.count;
+                    node.children[children[i].idx] = null;
+                }
+                if (merged === children.length) {
+                    node.children = null;
+                    node.leaf = true;
+                }
+                leafCount -= merged - 1;
+            }
+        }
+
+        const entries = [];
+        const gather = (node) => {
+            if (node.count > 0) {
+                const n = node.count * 255.0;
+                const rgb = new Rgb(
+                    node.r / n, node.g / n, node.b / n, 1.0);
+                entries.push({
+                    rgb: rgb,
+                    lab: Rgb.sRgbToCieLab(rgb),
+                    count: node.count
+                });
+            }
+            if (node.children === null) { return; }
+            for (const child of node.children) {
+                if (child !== null) { gather(child); }
+            }
+        };
+        gather(root);
+
+        return Quantize.resultInternal(entries);
+    }
+
+    /**
+     * @param {object[]} entries palette entries
+     * @returns the palette
+     */
+    static resultInternal (entries) {
+        entries.sort((a, b) => b.count - a.count);
+        return {
+            rgbs: entries.map((e) => e.rgb),
+            labs: entries.map((e) => e.lab),
+            counts: entries.map((e) => e.count)
+        };
+    }
+
+    /**
+     * @param {number} key 24 bit integer
+     * @returns the color
+     */
+    static unpackInternal (key) {
+        return Rgb.from8s(
+            (key >> 0x10) & 0xff,
+            (key >> 0x08) & 0xff,
+            key & 0xff,
+            255);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * Holds an image as a Float32Array of linear sRGB RGBA channels, 4 per
+ * pixel, by row from the top left. Colors are read and written as gamma sRGB
+ * Rgbs, so that they work with the rest of the color classes; the linear
+ * data may be accessed directly for speed. Channels are not clamped until
+ * they are converted to 8 bit pixels. Operations which change the image do
+ * so in place and return the raster.
+ */
+class Raster {
+    /**
+     * If no data is provided, the raster is filled with clear black.
+     *
+     * @param {number} [width=1] width
+     * @param {number} [height=1] height
+     * @param {Float32Array} [data] linear RGBA data
+     */
+    constructor (
+        width = 1, height = 1,
+        data = new Float32Array(
+            Math.max(width | 0, 1) * Math.max(height | 0, 1) * 4)) {
+
+        this._width = Math.max(width | 0, 1);
+        this._height = Math.max(height | 0, 1);
+        this._data = data;
+
+        Object.freeze(this);
+    }
+
+    get width () { return this._width; }
+
+    get height () { return this._height; }
+
+    get data () { return this._data; }
+
+    get length () { return this._width * this._height; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * Scales the chroma of each pixel in CIE LAB.
+     *
+     * @param {number} [scalar=1.0] chroma scalar
+     * @returns this raster
+     */
+    adjustChroma (scalar = 1.0) {
+        return this.mapLab((lab) => Lab.scaleChroma(lab, scalar));
+    }
+
+    /**
+     * Scales the lightness of each pixel in CIE LAB away from or toward
+     * middle gray, 50.0 .
+     *
+     * @param {number} [scalar=1.0] contrast scalar
+     * @returns this raster
+     */
+    adjustContrast (scalar = 1.0) {
+        return this.mapLab((lab) => new Lab(
+            50.0 + (lab.l - 50.0) * scalar, lab.a, lab.b, lab.alpha));
+    }
+
+    /**
+     * Adds to the lightness of each pixel in CIE LAB, where lightness is in
+     * [0.0, 100.0].
+     *
+     * @param {number} [delta=0.0] lightness offset
+     * @returns this raster
+     */
+    adjustLightness (delta = 0.0) {
+        return this.mapLab((lab) => new Lab(
+            lab.l + delta, lab.a, lab.b, lab.alpha));
+    }
+
+    /**
+     * Gets the gamma sRGB color of a pixel. Returns clear black if the
+     * coordinates are out of bounds.
+     *
+     * @param {number} x column
+     * @param {number} y row
+     * @returns the color
+     */
+    get (x, y) {
+        if (x < 0 || x >= this._width || y < 0 || y >= this._height) {
+            return Rgb.clear();
+        }
+        const i = ((y | 0) * this._width + (x | 0)) * 4;
+        const d = this._data;
+        return Rgb.sRgbLinearToGamma(new Rgb(d[i], d[i + 1], d[i + 2],
+            d[i + 3]));
+    }
+
+    /**
+     * Replaces each pixel with the result of a function, which receives the
+     * pixel's gamma sRGB color, column and row, and returns a gamma sRGB
+     * color.
+     *
+     * @param {function} f function
+     * @returns this raster
+     */
+    map (f) {
+        const w = this._width;
+        const h = this._height;
+        for (let y = 0; y < h; ++y) {
+            for (let x = 0; x < w; ++x) {
+                this.set(x, y, f(this.get(x, y), x, y));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Replaces each pixel with the result of a function, which receives the
+     * pixel's CIE LAB color, column and row, and returns a CIE LAB color.
+     *
+     * @param {function} f function
+     * @returns this raster
+     */
+    mapLab (f) {
+        const illuminant = Xyz.d65();
+        const cone = Cat.bradford();
+        const w = this._width;
+        const h = this._height;
+        const d = this._data;
+        for (let y = 0; y < h; ++y) {
+            for (let x = 0; x < w; ++x) {
+                const i = (y * w + x) * 4;
+                const lab = Xyz.xyzToCieLab(Rgb.sRgbLinearToXyz(
+                    new Rgb(d[i], d[i + 1], d[i + 2], d[i + 3]),
+                    illuminant, cone), illuminant);
+                const c = Rgb.xyzToSRgbLinear(Xyz.cieLabToXyz(
+                    f(lab, x, y), illuminant), illuminant, cone);
+                d[i] = c.r;
+                d[i + 1] = c.g;
+                d[i + 2] = c.b;
+                d[i + 3] = c.alpha;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Rotates the hue of each pixel in CIE LAB. The shift is in [0.0, 1.0].
+     *
+     * @param {number} [shift=0.0] hue shift
+     * @returns this raster
+     */
+    rotateHue (shift = 0.0) {
+        const radians = shift * (Math.PI + Math.PI);
+        const cosa = Math.cos(radians);
+        const sina = Math.sin(radians);
+        return this.mapLab((lab) => Lab.rotateHueInternal(lab, cosa, sina));
+    }
+
+    /**
+     * Sets the gamma sRGB color of a pixel. Does nothing if the coordinates
+     * are out of bounds.
+     *
+     * @param {number} x column
+     * @param {number} y row
+     * @param {Rgb} c color
+     * @returns this raster
+     */
+    set (x, y, c) {
+        if (x < 0 || x >= this._width || y < 0 || y >= this._height) {
+            return this;
+        }
+        const i = ((y | 0) * this._width + (x | 0)) * 4;
+        const d = this._data;
+        d[i] = Rgb.sRgbGammaToLinearInternal(c.r);
+        d[i + 1] = Rgb.sRgbGammaToLinearInternal(c.g);
+        d[i + 2] = Rgb.sRgbGammaToLinearInternal(c.b);
+        d[i + 3] = c.alpha;
+        return this;
+    }
+
+    /**
+     * Converts the raster to 8 bit gamma sRGB pixels, clamping channels,
+     * e.g., for new ImageData(pixels, width, height) .
+     *
+     * @param {Uint8ClampedArray} [out] RGBA pixels
+     * @returns the pixels
+     */
+    toPixels (out = new Uint8ClampedArray(this._data.length)) {
+        const d = this._data;
+        const len = Math.min(d.length, out.length);
+        for (let i = 0; i < len; i += 4) {
+            out[i] = 255.0 * Rgb.sRgbLinearToGammaInternal(d[i]);
+            out[i + 1] = 255.0 * Rgb.sRgbLinearToGammaInternal(d[i + 1]);
+            out[i + 2] = 255.0 * Rgb.sRgbLinearToGammaInternal(d[i + 2]);
+            out[i + 3] = 255.0 * d[i + 3];
+        }
+        return out;
+    }
+
+    /**
+     * @returns the string
+     */
+    toString () {
+        return [
+            "{\"width\":", this._width,
+            ",\"height\":", this._height,
+            '}'
+        ].join('');
+    }
+
+    /**
+     * Creates a raster from an ImageData or any object with 'data',
+     * 'width' and 'height' fields.
+     *
+     * @param {ImageData} o image data
+     * @returns the raster
+     */
+    static fromImageData (o) {
+        return Raster.fromPixels(o.data, o.width, o.height);
+    }
+
+    /**
+     * Creates a raster from 8 bit gamma sRGB pixels.
+     *
+     * @param {Uint8ClampedArray} pixels RGBA pixels
+     * @param {number} width width
+     * @param {number} height height
+     * @returns the raster
+     */
+    static fromPixels (pixels, width, height) {
+        const r = new Raster(width, height);
+        const d = r._data;
+        const toLinear = Raster.toLinearInternal();
+        const len = Math.min(d.length, pixels.length);
+        for (let i = 0; i < len; i += 4) {
+            d[i] = toLinear[pixels[i]];
+            d[i + 1] = toLinear[pixels[i + 1]];
+            d[i + 2] = toLinear[pixels[i + 2]];
+            d[i + 3] = pixels[i + 3] / 255.0;
+        }
+        return r;
+    }
+
+    /**
+     * Gets the linear values of the 256 gamma sRGB channel values. The
+     * table is built on first use, as rgb.js loads after this file.
+     *
+     * @returns the table
+     */
+    static toLinearInternal () {
+        if (Raster.TO_LINEAR === null) {
+            Raster.TO_LINEAR = Object.freeze(Array.from({ length: 256 },
+                (_, i) => Rgb.sRgbGammaToLinearInternal(i / 255.0)));
+        }
+        return Raster.TO_LINEAR;
+    }
+}
+
+/**
+ * Linear values of the 256 gamma sRGB channel values, or null until
+ * toLinearInternal is first called.
+ */
+Raster.TO_LINEAR = null;
\ No newline at end of file
@@ -101,6 +101,27 @@ class Rgb {
         return Rgb.fromRGBA32(Rgb.toRGBA32(o) ^ Rgb.toRGBA32(d));
     }
 
+    /**
+     * @param {Lab} o CIE LAB color
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the gamma sRGB color
+     */
+    static cieLabToSRgb (o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        return Rgb.sRgbLinearToGamma(Rgb.xyzToSRgbLinear(
+            Xyz.cieLabToXyz(o, illuminant), illuminant, cone));
+    }
+
+    /**
+     * @param {Lch} o CIE LCH color
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the gamma sRGB color
+     */
+    static cieLchToSRgb (o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        return Rgb.cieLabToSRgb(Lab.fromLch(o), illuminant, cone);
+    }
+
     /**
      * @param {Rgb} o color
      * @param {number} [lb=0.0] lower bound
@@ -187,6 +208,61 @@ class Rgb {
             alpha / 255.0);
     }
 
+    /**
+     * Converts from HSL, per the CSS Color 4 specification.
+     *
+     * @param {Hsl} o HSL color
+     * @returns the gamma sRGB color
+     */
+    static fromHsl (o) {
+        const h = (o.h - Math.floor(o.h)) * 12.0;
+        const a = o.s * Math.min(o.l, 1.0 - o.l);
+        const f = (n) => {
+            const k = (n + h) % 12.0;
+            return o.l - a * Math.max(-1.0,
+                Math.min(k - 3.0, 9.0 - k, 1.0));
+        };
+        return new Rgb(f(0.0), f(8.0), f(4.0), o.alpha);
+    }
+
+    /**
+     * @param {Hsv} o HSV color
+     * @returns the gamma sRGB color
+     */
+    static fromHsv (o) {
+        const h = (o.h - Math.floor(o.h)) * 6.0;
+        const f = (n) => {
+            const k = (n + h) % 6.0;
+            return o.v - o.v * o.s * Math.max(0.0,
+                Math.min(k, 4.0 - k, 1.0));
+        };
+        return new Rgb(f(5.0), f(3.0), f(1.0), o.alpha);
+    }
+
+    /**
+     * Converts from HWB, per the CSS Color 4 specification. When whiteness
+     * and blackness sum to 1.0 or more, they are normalized and the color is
+     * gray.
+     *
+     * @param {Hwb} o HWB color
+     * @returns the gamma sRGB color
+     */
+    static fromHwb (o) {
+        const wb = o.w + o.b;
+        if (wb >= 1.0) {
+            const gray = wb > 0.0 ? o.w / wb : 0.0;
+            return new Rgb(gray, gray, gray, o.alpha);
+        }
+
+        const pure = Rgb.fromHsv(new Hsv(o.h, 1.0, 1.0, o.alpha));
+        const scl = 1.0 - wb;
+        return new Rgb(
+            pure.r * scl + o.w,
+            pure.g * scl + o.w,
+            pure.b * scl + o.w,
+            o.alpha);
+    }
+
     /**
      * @param {number} [r=0] red
      * @param {number} [g=0] green
@@ -308,6 +384,99 @@ class Rgb {
             o.alpha, 0.0), 1.0) * mx + 0.5);
     }
 
+    /**
+     * Maps a color to the sRGB gamut by reducing its chroma with a binary
+     * search while keeping its lightness and hue. The conversion function
+     * defines the space of the color, e.g., Rgb.cieLchToSRgb .
+     *
+     * @param {Lch} o polar color
+     * @param {function} [toSRgb=Rgb.okLchToSRgb] conversion to gamma rgb
+     * @param {number} [iterations=16] search iterations
+     * @returns the mapped color
+     */
+    static gamutMapChroma (o, toSRgb = Rgb.okLchToSRgb, iterations = 16) {
+        const rgb = toSRgb(o);
+        if (Rgb.isInGamut(rgb, 0.000001)) {
+            return Rgb.clamp(rgb);
+        }
+
+        let lb = 0.0;
+        let ub = o.c;
+        for (let i = 0; i < iterations; ++i) {
+            const mid = (lb + ub) * 0.5;
+            if (Rgb.isInGamut(toSRgb(
+                new Lch(o.l, mid, o.h, o.alpha)), 0.000001)) {
+                lb = mid;
+            } else {
+                ub = mid;
+            }
+        }
+
+        return Rgb.clamp(toSRgb(new Lch(o.l, lb, o.h, o.alpha)));
+    }
+
+    /**
+     * Maps an OK LCH color to the sRGB gamut with the CSS Color 4 algorithm,
+     * https://www.w3.org/TR/css-color-4/#binsearch . Chroma is reduced until
+     * the distance in OK LAB between the color and its clipped version is
+     * less than a just noticeable difference. OK LCH is expected to be scaled
+     * to the same range as CIE LCH, so the difference is 2.0, not 0.02 .
+     *
+     * @param {Lch} o OK LCH color
+     * @param {number} [jnd=2.0] just noticeable difference
+     * @param {number} [eps=0.01] chroma tolerance
+     * @returns the mapped color
+     */
+    static gamutMapCss (o, jnd = 2.0, eps = 0.01) {
+        if (o.l >= 100.0) {
+            return new Rgb(1.0, 1.0, 1.0, o.alpha);
+        }
+        if (o.l <= 0.0) {
+            return new Rgb(0.0, 0.0, 0.0, o.alpha);
+        }
+
+        const origin = Rgb.okLchToSRgb(o);
+        if (Rgb.isInGamut(origin, 0.000001)) {
+            return Rgb.clamp(origin);
+        }
+
+        let clipped = Rgb.clamp(origin);
+        let diff = Lab.deltaEOk(Rgb.sRgbToOkLab(clipped),
+            Lab.fromLch(o));
+        if (diff < jnd) {
+            return clipped;
+        }
+
+        let lb = 0.0;
+        let ub = o.c;
+        let lbInGamut = true;
+        while (ub - lb > eps) {
+            const chroma = (lb + ub) * 0.5;
+            const current = new Lch(o.l, chroma, o.h, o.alpha);
+            const rgb = Rgb.okLchToSRgb(current);
+
+            if (lbInGamut && Rgb.isInGamut(rgb, 0.000001)) {
+                lb = chroma;
+                continue;
+            }
+
+            clipped = Rgb.clamp(rgb);
+            diff = Lab.deltaEOk(Rgb.sRgbToOkLab(clipped),
+                Lab.fromLch(current));
+            if (diff < jnd) {
+                if (jnd - diff < eps) {
+                    return clipped;
+                }
+                lbInGamut = false;
+                lb = chroma;
+            } else {
+                ub = chroma;
+            }
+        }
+
+        return clipped;
+    }
+
     /**
      * @param {Rgb} o color
      * @returns the gray color
@@ -404,6 +573,55 @@ class Rgb {
             u * o.alpha + t * d.alpha);
     }
 
+    /**
+     * Converts an OK LAB color to linear sRGB. Expects lightness to be in
+     * [0.0, 100.0], with a and b scaled by 100.0 to match.
+     *
+     * @param {Lab} o OK LAB color
+     * @returns the linear rgb
+     */
+    static okLabToSRgbLinear (o) {
+        const l = o.l * 0.01;
+        const a = o.a * 0.01;
+        const b = o.b * 0.01;
+
+        const lcbrt = l + 0.3963377774 * a + 0.2158037573 * b;
+        const mcbrt = l - 0.1055613458 * a - 0.0638541728 * b;
+        const scbrt = l - 0.0894841775 * a - 1.2914855480 * b;
+
+        const lms0 = lcbrt * lcbrt * lcbrt;
+        const lms1 = mcbrt * mcbrt * mcbrt;
+        const lms2 = scbrt * scbrt * scbrt;
+
+        return new Rgb(
+            4.0767416621 * lms0
+            - 3.3077115913 * lms1
+            + 0.2309699292 * lms2,
+            -1.2684380046 * lms0
+            + 2.6097574011 * lms1
+            - 0.3413193965 * lms2,
+            -0.0041960863 * lms0
+            - 0.7034186147 * lms1
+            + 1.7076147010 * lms2,
+            o.alpha);
+    }
+
+    /**
+     * @param {Lab} o OK LAB color
+     * @returns the gamma sRGB color
+     */
+    static okLabToSRgb (o) {
+        return Rgb.sRgbLinearToGamma(Rgb.okLabToSRgbLinear(o));
+    }
+
+    /**
+     * @param {Lch} o OK LCH color
+     * @returns the gamma sRGB color
+     */
+    static okLchToSRgb (o) {
+        return Rgb.okLabToSRgb(Lab.fromLch(o));
+    }
+
     /**
      * @param {Rgb} o color
      * @returns the opaque color
@@ -422,9 +640,9 @@ class Rgb {
         }
         if (o.alpha > 0.0) {
             return new Rgb(
-                o.r / o.alpha,
-                o.g / o.alpha,
-                o.b / o.alpha,
+                o.r * o.alpha,
+                o.g * o.alpha,
+                o.b * o.alpha,
                 o.alpha);
         }
         return Rgb.clear();
@@ -456,42 +674,243 @@ class Rgb {
      * @returns linear rgb
      */
     static sRgbGammaToLinear (o) {
-        const inv1_055 = 1.0 / 1.055;
-        const inv12_92 = 1.0 / 12.92;
-
         return new Rgb(
-            o.r > 0.04045 ?
-                Math.pow((o.r + 0.055) * inv1_055, 2.4) :
-                o.r * inv12_92,
-            o.g > 0.04045 ?
-                Math.pow((o.g + 0.055) * inv1_055, 2.4) :
-                o.g * inv12_92,
-            o.b > 0.04045 ?
-                Math.pow((o.b + 0.055) * inv1_055, 2.4) :
-                o.b * inv12_92,
+            Rgb.sRgbGammaToLinearInternal(o.r),
+            Rgb.sRgbGammaToLinearInternal(o.g),
+            Rgb.sRgbGammaToLinearInternal(o.b),
             o.alpha);
     }
 
+    /**
+     * Converts a gamma sRGB channel to linear. Negative values are mirrored,
+     * as in the CSS Color 4 specification.
+     *
+     * @param {number} v gamma channel
+     * @returns the linear channel
+     */
+    static sRgbGammaToLinearInternal (v) {
+        const a = Math.abs(v);
+        return a > 0.04045 ?
+            Math.sign(v) * Math.pow((a + 0.055) / 1.055, 2.4) :
+            v / 12.92;
+    }
+
     /**
      * @param {Rgb} o linear rgb
      * @returns gamma rgb
      */
     static sRgbLinearToGamma (o) {
-        const inv24 = 1.0 / 2.4;
         return new Rgb(
-            o.r > 0.0031308 ?
-                Math.pow(o.r, inv24) * 1.055 - 0.055 :
-                o.r * 12.92,
-            o.g > 0.0031308 ?
-                Math.pow(o.g, inv24) * 1.055 - 0.055 :
-                o.g * 12.92,
-            o.b > 0.0031308 ?
-                Math.pow(o.b, inv24) * 1.055 - 0.055 :
-                o.b * 12.92,
+            Rgb.sRgbLinearToGammaInternal(o.r),
+            Rgb.sRgbLinearToGammaInternal(o.g),
+            Rgb.sRgbLinearToGammaInternal(o.b),
             o.alpha
         );
     }
 
+    /**
+     * Converts a linear sRGB channel to gamma. Negative values are mirrored,
+     * as in the CSS Color 4 specification.
+     *
+     * @param {number} v linear channel
+     * @returns the gamma channel
+     */
+    static sRgbLinearToGammaInternal (v) {
+        const a = Math.abs(v);
+        return a > 0.0031308 ?
+            Math.sign(v) * (Math.pow(a, 1.0 / 2.4) * 1.055 - 0.055) :
+            v * 12.92;
+    }
+
+    /**
+     * Converts a linear sRGB color to OK LAB, as described by Bjorn Ottosson,
+     * https://bottosson.github.io/posts/oklab/ . Lightness is scaled to
+     * [0.0, 100.0]; a and b are scaled by the same factor, 100.0 .
+     *
+     * @param {Rgb} o linear rgb
+     * @returns the OK LAB color
+     */
+    static sRgbLinearToOkLab (o) {
+        const lcbrt = Math.cbrt(
+            0.4122214708 * o.r
+            + 0.5363325363 * o.g
+            + 0.0514459929 * o.b);
+        const mcbrt = Math.cbrt(
+            0.2119034982 * o.r
+            + 0.6806995451 * o.g
+            + 0.1073969566 * o.b);
+        const scbrt = Math.cbrt(
+            0.0883024619 * o.r
+            + 0.2817188376 * o.g
+            + 0.6299787005 * o.b);
+
+        return new Lab(
+            100.0 * (0.2104542553 * lcbrt
+                + 0.7936177850 * mcbrt
+                - 0.0040720468 * scbrt),
+            100.0 * (1.9779984951 * lcbrt
+                - 2.4285922050 * mcbrt
+                + 0.4505937099 * scbrt),
+            100.0 * (0.0259040371 * lcbrt
+                + 0.7827717662 * mcbrt
+                - 0.8086757660 * scbrt),
+            o.alpha);
+    }
+
+    /**
+     * Converts a linear sRGB color to SR LAB 2, as described by Jan Behrens,
+     * https://www.magnetkern.de/srlab2.html . Lightness is in [0.0, 100.0].
+     *
+     * @param {Rgb} o linear rgb
+     * @returns the SR LAB 2 color
+     */
+    static sRgbLinearToSrLab2 (o) {
+        const x0 = 0.32053 * o.r + 0.63692 * o.g + 0.04256 * o.b;
+        const y0 = 0.161987 * o.r + 0.756636 * o.g + 0.081376 * o.b;
+        const z0 = 0.017228 * o.r + 0.10866 * o.g + 0.874112 * o.b;
+
+        const epsilon = 216.0 / 24389.0;
+        const kappa = 24389.0 / 2700.0;
+        const x1 = x0 <= epsilon ? x0 * kappa : 1.16 * Math.cbrt(x0) - 0.16;
+        const y1 = y0 <= epsilon ? y0 * kappa : 1.16 * Math.cbrt(y0) - 0.16;
+        const z1 = z0 <= epsilon ? z0 * kappa : 1.16 * Math.cbrt(z0) - 0.16;
+
+        return new Lab(
+            37.095 * x1 + 62.9054 * y1 - 0.0008 * z1,
+            663.4684 * x1 - 750.5078 * y1 + 87.0328 * z1,
+            63.9569 * x1 + 108.4576 * y1 - 172.4152 * z1,
+            o.alpha);
+    }
+
+    /**
+     * Converts a linear sRGB color to CIE XYZ. The sRGB white point is D65.
+     * When another illuminant is given, the color is adapted to it.
+     *
+     * @param {Rgb} o linear rgb
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the XYZ color
+     */
+    static sRgbLinearToXyz (
+        o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        const xyz = new Xyz(
+            0.41239079926595934 * o.r
+            + 0.357584339383878 * o.g
+            + 0.1804807884018343 * o.b,
+            0.21263900587151027 * o.r
+            + 0.715168678767756 * o.g
+            + 0.07219231536073371 * o.b,
+            0.01933081871559182 * o.r
+            + 0.11919477979462598 * o.g
+            + 0.9505321522496607 * o.b,
+            o.alpha);
+        return Xyz.adapt(xyz, Xyz.d65(), illuminant, cone);
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the CIE LAB color
+     */
+    static sRgbToCieLab (o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        return Xyz.xyzToCieLab(Rgb.sRgbLinearToXyz(
+            Rgb.sRgbGammaToLinear(o), illuminant, cone), illuminant);
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the CIE LCH color
+     */
+    static sRgbToCieLch (o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        return Lch.fromLab(Rgb.sRgbToCieLab(o, illuminant, cone));
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @returns the OK LAB color
+     */
+    static sRgbToOkLab (o) {
+        return Rgb.sRgbLinearToOkLab(Rgb.sRgbGammaToLinear(o));
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @returns the OK LCH color
+     */
+    static sRgbToOkLch (o) {
+        return Lch.fromLab(Rgb.sRgbToOkLab(o));
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @returns the SR LAB 2 color
+     */
+    static sRgbToSrLab2 (o) {
+        return Rgb.sRgbLinearToSrLab2(Rgb.sRgbGammaToLinear(o));
+    }
+
+    /**
+     * @param {Rgb} o gamma rgb
+     * @returns the SR LCH color
+     */
+    static sRgbToSrLch (o) {
+        return Lch.fromLab(Rgb.sRgbToSrLab2(o));
+    }
+
+    /**
+     * @param {Lab} o SR LAB 2 color
+     * @returns the gamma sRGB color
+     */
+    static srLab2ToSRgb (o) {
+        return Rgb.sRgbLinearToGamma(Rgb.srLab2ToSRgbLinear(o));
+    }
+
+    /**
+     * Converts an SR LAB 2 color to linear sRGB. The matrices are the
+     * inverses of those in the forward conversion, so that colors round trip.
+     *
+     * @param {Lab} o SR LAB 2 color
+     * @returns the linear rgb
+     */
+    static srLab2ToSRgbLinear (o) {
+        const x0 = 0.010000102867215928 * o.l
+            + 0.0009041271715941017 * o.a
+            + 0.0004563444476915107 * o.b;
+        const y0 = 0.010000002927254975 * o.l
+            - 0.0005331592745662989 * o.a
+            - 0.0002691778016892686 * o.b;
+        const z0 = 0.00999999940000239 * o.l
+            - 0.005799999084407483 * o.b;
+
+        const kappa = 2700.0 / 24389.0;
+        const x1 = x0 <= 0.08 ? x0 * kappa : Math.pow((x0 + 0.16) / 1.16, 3.0);
+        const y1 = y0 <= 0.08 ? y0 * kappa : Math.pow((y0 + 0.16) / 1.16, 3.0);
+        const z1 = z0 <= 0.08 ? z0 * kappa : Math.pow((z0 + 0.16) / 1.16, 3.0);
+
+        return new Rgb(
+            5.435039931492935 * x1
+            - 4.598577399185538 * y1
+            + 0.16347851871588892 * z1,
+            -1.167669384435469 * x1
+            + 2.3275113697497165 * y1
+            - 0.15982798110903337 * z1,
+            0.03803183959606753 * x1
+            - 0.19869661325303367 * y1
+            + 1.160664194641957 * z1,
+            o.alpha);
+    }
+
+    /**
+     * @param {Lch} o SR LCH color
+     * @returns the gamma sRGB color
+     */
+    static srLchToSRgb (o) {
+        return Rgb.srLab2ToSRgb(Lab.fromLch(o));
+    }
+
     /**
      * @param {Rgb} o rgb
      * @returns the 32 bit integer
@@ -536,14 +955,39 @@ class Rgb {
         }
         if (o.alpha > 0.0) {
             return new Rgb(
-                o.r * o.alpha,
-                o.g * o.alpha,
-                o.b * o.alpha,
+                o.r / o.alpha,
+                o.g / o.alpha,
+                o.b / o.alpha,
                 o.alpha);
         }
         return Rgb.clear();
     }
 
+    /**
+     * Converts a CIE XYZ color to linear sRGB. When the color's illuminant is
+     * not D65, it is adapted to D65 first.
+     *
+     * @param {Xyz} o XYZ color
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the linear rgb
+     */
+    static xyzToSRgbLinear (
+        o, illuminant = Xyz.d65(), cone = Cat.bradford()) {
+        const xyz = Xyz.adapt(o, illuminant, Xyz.d65(), cone);
+        return new Rgb(
+            3.2409699419045226 * xyz.x
+            - 1.537383177570094 * xyz.y
+            - 0.4986107602930034 * xyz.z,
+            -0.9692436362808796 * xyz.x
+            + 1.8759675015077202 * xyz.y
+            + 0.04155505740717559 * xyz.z,
+            0.05563007969699366 * xyz.x
+            - 0.20397695888897652 * xyz.y
+            + 1.0569715142428786 * xyz.z,
+            xyz.alpha);
+    }
+
     /**
      * @returns the color blue
      */
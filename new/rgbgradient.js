@@ -0,0 +1,1124 @@
+'use strict';
+
+/**
+ * Contains a list of keys, sorted by step, that hold gamma sRGB colors in
+ * [0.0, 1.0]. Colors between keys are found by a mixing function, which
+ * defines the space of interpolation: gamma sRGB, linear sRGB, CIE LAB, CIE
+ * LCH or OK LCH. In the polar spaces, a hue easing function from Hue chooses
+ * the direction around the hue circle, as per the CSS hue interpolation
+ * methods. Mixed colors are not clamped and may lie outside the sRGB gamut.
+ */
+class RgbGradient {
+    /**
+     * If no keys are provided, the gradient will have a clear black key at
+     * 0.0 and an opaque white key at 1.0 .
+     *
+     * @param {...RgbKey} keys the color keys
+     */
+    constructor (...keys) {
+        this._keys = [];
+        const len = keys.length;
+        if (len === 0) {
+            this._keys.push(new RgbKey(0.0, Rgb.clear()));
+            this._keys.push(new RgbKey(1.0, Rgb.white()));
+        } else {
+            for (let i = 0; i < len; ++i) {
+                this.insertKey(keys[i]);
+            }
+        }
+    }
+
+    get length () { return this._keys.length; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    [Symbol.iterator] () {
+        return this._keys[Symbol.iterator]();
+    }
+
+    /**
+     * Bakes the gradient into a lookup table of evenly spaced RGBA entries,
+     * packed four numbers per entry. The number of entries is a quarter of
+     * the output's length. A Float32Array holds channels in [0.0, 1.0]; a
+     * Uint8ClampedArray holds them in [0, 255]. Sample the table with
+     * RgbGradient.sample or RgbGradient.sampleArray.
+     *
+     * @param {Float32Array|Uint8ClampedArray} [out] lookup table
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the lookup table
+     */
+    bake (
+        out = new Float32Array(1024),
+        mix = RgbGradient.mixSRgb,
+        easing = Hue.shorter) {
+
+        const len = out.length >> 2;
+        const scale = out instanceof Uint8ClampedArray ? 255.0 : 1.0;
+        const toStep = len > 1 ? 1.0 / (len - 1.0) : 0.0;
+        for (let i = 0; i < len; ++i) {
+            RgbGradient.writeInternal(
+                this.eval(i * toStep, mix, easing), out, i * 4, scale);
+        }
+        return out;
+    }
+
+    /**
+     * Locates the insertion point for a step that will maintain sorted order.
+     * Equal steps are placed to the left.
+     *
+     * @param {number} [step=0.5] step
+     * @returns the index
+     */
+    bisectLeft (step = 0.5) {
+        let low = 0;
+        let high = this._keys.length;
+        while (low < high) {
+            const middle = (low + high) / 2 | 0;
+            if (step > this._keys[middle].step) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Locates the insertion point for a step that will maintain sorted order.
+     * Equal steps are placed to the right.
+     *
+     * @param {number} [step=0.5] step
+     * @returns the index
+     */
+    bisectRight (step = 0.5) {
+        let low = 0;
+        let high = this._keys.length;
+        while (low < high) {
+            const middle = (low + high) / 2 | 0;
+            if (step < this._keys[middle].step) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Finds the index of a key whose step approximates the query. If there
+     * is none, returns -1.
+     *
+     * @param {number} [step=0.5] step
+     * @param {number} [tolerance=0.0005] tolerance
+     * @returns the index
+     */
+    containsStep (step = 0.5, tolerance = 0.0005) {
+        return this._keys.findIndex((x) =>
+            Math.abs(x.step - step) < tolerance);
+    }
+
+    /**
+     * Finds a color at a step. Steps before the first key or after the last
+     * return that key's color. Between keys, the factor is passed to the
+     * mixing function along with the hue easing function.
+     *
+     * @param {number} [step=0.5] step
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the color
+     */
+    eval (step = 0.5, mix = RgbGradient.mixSRgb, easing = Hue.shorter) {
+        const prevKey = this.findLe(step);
+        if (prevKey === null) {
+            return this.getFirst().color;
+        }
+
+        const nextKey = this.findGe(step);
+        if (nextKey === null) {
+            return this.getLast().color;
+        }
+
+        const prevStep = prevKey.step;
+        const nextStep = nextKey.step;
+        if (prevStep === nextStep) {
+            return prevKey.color;
+        }
+
+        const t = (step - prevStep) / (nextStep - prevStep);
+        return mix(prevKey.color, nextKey.color, t, easing);
+    }
+
+    /**
+     * Evaluates the gradient at an array of steps, writing RGBA channels to
+     * the output four numbers per step. A Uint8ClampedArray output holds
+     * channels in [0, 255].
+     *
+     * @param {number[]|Float32Array} steps steps
+     * @param {Float32Array|Uint8ClampedArray} [out] output
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the output
+     */
+    evalArray (
+        steps,
+        out = new Float32Array(steps.length * 4),
+        mix = RgbGradient.mixSRgb,
+        easing = Hue.shorter) {
+
+        const len = Math.min(steps.length, out.length >> 2);
+        const scale = out instanceof Uint8ClampedArray ? 255.0 : 1.0;
+        for (let i = 0; i < len; ++i) {
+            RgbGradient.writeInternal(
+                this.eval(steps[i], mix, easing), out, i * 4, scale);
+        }
+        return out;
+    }
+
+    /**
+     * Returns the least key greater than or equal to the step. If there is
+     * none, returns null.
+     *
+     * @param {number} [query=0.5] step
+     * @returns the key
+     */
+    findGe (query = 0.5) {
+        const i = this.bisectLeft(query);
+        return i < this._keys.length ? this._keys[i] : null;
+    }
+
+    /**
+     * Returns the greatest key less than or equal to the step. If there is
+     * none, returns null.
+     *
+     * @param {number} [query=0.5] step
+     * @returns the key
+     */
+    findLe (query = 0.5) {
+        const i = this.bisectRight(query);
+        return i > 0 ? this._keys[i - 1] : null;
+    }
+
+    /**
+     * Gets a key by index. Negative indices wrap around.
+     *
+     * @param {number} [i=-1] index
+     * @returns the key
+     */
+    get (i = -1) {
+        const len = this._keys.length;
+        return this._keys[i - len * Math.floor(i / len)];
+    }
+
+    /**
+     * @returns the first key
+     */
+    getFirst () {
+        return this._keys[0];
+    }
+
+    /**
+     * @returns the last key
+     */
+    getLast () {
+        return this._keys[this._keys.length - 1];
+    }
+
+    /**
+     * Inserts a key. If a key at the same step already exists, it is
+     * replaced.
+     *
+     * @param {RgbKey} key key
+     * @returns this gradient
+     */
+    insertKey (key) {
+        const i = this.containsStep(key.step);
+        if (i !== -1) {
+            this._keys.splice(i, 1, key);
+        } else {
+            this.insortRight(key);
+        }
+        return this;
+    }
+
+    /**
+     * Inserts a key at the index returned by bisectLeft.
+     *
+     * @param {RgbKey} key key
+     * @returns this gradient
+     */
+    insortLeft (key) {
+        this._keys.splice(this.bisectLeft(key.step), 0, key);
+        return this;
+    }
+
+    /**
+     * Inserts a key at the index returned by bisectRight.
+     *
+     * @param {RgbKey} key key
+     * @returns this gradient
+     */
+    insortRight (key) {
+        this._keys.splice(this.bisectRight(key.step), 0, key);
+        return this;
+    }
+
+    /**
+     * Removes a key by index. Negative indices wrap around.
+     *
+     * @param {number} [i=-1] index
+     * @returns the key
+     */
+    removeAt (i = -1) {
+        const len = this._keys.length;
+        return this._keys.splice(i - len * Math.floor(i / len), 1)[0];
+    }
+
+    /**
+     * Reverses the gradient, so that each key's step becomes 1.0 - step.
+     *
+     * @returns this gradient
+     */
+    reverse () {
+        this._keys.reverse();
+        const len = this._keys.length;
+        for (let i = 0; i < len; ++i) {
+            const key = this._keys[i];
+            this._keys[i] = RgbKey.copyStep(key, 1.0 - key.step);
+        }
+        return this;
+    }
+
+    /**
+     * Formats the gradient as a CSS linear-gradient(), radial-gradient() or
+     * conic-gradient() string. The kind is 'linear', 'radial' or 'conic'. The
+     * angle, in degrees, is the direction of a linear gradient or the start
+     * of a conic gradient; it is ignored by radial gradients. CSS interpolates
+     * stops in gamma sRGB, so other mixing functions are approximated with
+     * extra stops until no channel differs by more than the tolerance.
+     *
+     * @param {string} [kind='linear'] gradient kind
+     * @param {number} [angle=90.0] angle in degrees
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @param {number} [tolerance=0.005] tolerance
+     * @returns the string
+     */
+    toCss (
+        kind = 'linear',
+        angle = 90.0,
+        mix = RgbGradient.mixSRgb,
+        easing = Hue.shorter,
+        tolerance = 0.005) {
+
+        const stops = RgbGradient.stopsInternal(this, mix, easing, tolerance)
+            .map((key) => CssColor.formatHex(key.color) + ' '
+                + (key.step * 100.0).toFixed(2) + '%');
+
+        let prefix = 'linear-gradient(' + angle + 'deg, ';
+        if (kind === 'radial') {
+            prefix = 'radial-gradient(';
+        } else if (kind === 'conic') {
+            prefix = 'conic-gradient(from ' + angle + 'deg, ';
+        }
+        return prefix + stops.join(', ') + ')';
+    }
+
+    /**
+     * Formats the gradient as a GIMP gradient, .ggr, file. Each pair of
+     * adjacent stops becomes a linear segment in RGB. Other mixing functions
+     * are approximated with extra stops at a tolerance.
+     *
+     * @param {string} [name='Gradient'] gradient name
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @param {number} [tolerance=0.005] tolerance
+     * @returns the string
+     */
+    toGgr (
+        name = 'Gradient',
+        mix = RgbGradient.mixSRgb,
+        easing = Hue.shorter,
+        tolerance = 0.005) {
+
+        const stops = RgbGradient.stopsInternal(this, mix, easing, tolerance);
+        const len = stops.length;
+        const lines = ['GIMP Gradient', 'Name: ' + name, String(len - 1)];
+        const fmt = (c) => [c.r, c.g, c.b, c.alpha].map(
+            (x) => x.toFixed(6)).join(' ');
+        for (let i = 1; i < len; ++i) {
+            const left = stops[i - 1];
+            const right = stops[i];
+            lines.push([
+                left.step.toFixed(6),
+                ((left.step + right.step) * 0.5).toFixed(6),
+                right.step.toFixed(6),
+                fmt(left.color),
+                fmt(right.color),
+                '0 0 0 0'
+            ].join(' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        return [
+            "{\"keys\":[",
+            this._keys.map((key) => key.toString(precision)).join(','),
+            ']}'
+        ].join('');
+    }
+
+    /**
+     * Formats the gradient as an SVG linearGradient element that runs from
+     * left to right. SVG interpolates stops in gamma sRGB, so other mixing
+     * functions are approximated with extra stops at a tolerance.
+     *
+     * @param {string} [id='gradient'] element id
+     * @param {function} [mix=RgbGradient.mixSRgb] mixing function
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @param {number} [tolerance=0.005] tolerance
+     * @returns the string
+     */
+    toSvg (
+        id = 'gradient',
+        mix = RgbGradient.mixSRgb,
+        easing = Hue.shorter,
+        tolerance = 0.005) {
+
+        const lines = ['<linearGradient id="' + id
+            + '" x1="0" y1="0" x2="1" y2="0">'];
+        const stops = RgbGradient.stopsInternal(this, mix, easing, tolerance);
+        for (const key of stops) {
+            lines.push('  <stop offset="' + key.step.toFixed(4)
+                + '" stop-color="' + CssColor.formatHex(Rgb.opaque(key.color))
+                + '" stop-opacity="' + key.color.alpha.toFixed(4) + '"/>');
+        }
+        lines.push('</linearGradient>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Evaluates a cosine palette, as described by Inigo Quilez,
+     * https://iquilezles.org/articles/palettes/ . Each channel is
+     * a + b cos(2 pi (c t + d)), where a is the offset, b the amplitude, c the
+     * frequency and d the phase. The color is not clamped.
+     *
+     * @param {number} t factor
+     * @param {Vec3} a offset
+     * @param {Vec3} b amplitude
+     * @param {Vec3} c frequency
+     * @param {Vec3} d phase
+     * @returns the color
+     */
+    static cosine (t, a, b, c, d) {
+        const tau = Math.PI + Math.PI;
+        return new Rgb(
+            a.x + b.x * Math.cos(tau * (c.x * t + d.x)),
+            a.y + b.y * Math.cos(tau * (c.y * t + d.y)),
+            a.z + b.z * Math.cos(tau * (c.z * t + d.z)),
+            1.0);
+    }
+
+    /**
+     * Creates a gradient from colors, with keys evenly distributed across
+     * [0.0, 1.0]. A single color is placed at 0.0 .
+     *
+     * @param {Rgb[]} colors colors
+     * @returns the gradient
+     */
+    static fromColors (colors) {
+        const len = colors.length;
+        const toStep = len > 1 ? 1.0 / (len - 1.0) : 0.0;
+        const keys = [];
+        for (let i = 0; i < len; ++i) {
+            keys.push(new RgbKey(i * toStep, colors[i]));
+        }
+        return new RgbGradient(...keys);
+    }
+
+    /**
+     * Reads a GIMP gradient, .ggr, file. Segments with a curved, sine,
+     * spherical or step blend, an off-center midpoint or HSV coloring are
+     * approximated with extra keys until no channel differs by more than the
+     * tolerance from linear interpolation in gamma sRGB. Segment endpoints
+     * that use the foreground or background color are read as their stored
+     * color. Returns null if the file could not be parsed.
+     *
+     * @param {string} str file contents
+     * @param {number} [tolerance=0.005] tolerance
+     * @returns the gradient
+     */
+    static fromGgr (str, tolerance = 0.005) {
+        const lines = str.split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line.length > 0 && line[0] !== '#');
+        if (lines.length < 2 || lines[0] !== 'GIMP Gradient') {
+            return null;
+        }
+
+        let i = 1;
+        if (/^name:/i.test(lines[i])) { ++i; }
+        const count = parseInt(lines[i++], 10);
+        if (Number.isNaN(count) || count < 1 || i + count > lines.length) {
+            return null;
+        }
+
+        const keys = [];
+        for (let j = 0; j < count; ++j) {
+            const v = lines[i + j].split(/\s+/).map(parseFloat);
+            if (v.length < 13 || v.some(Number.isNaN)) { return null; }
+
+            const left = v[0];
+            const right = v[2];
+            const c0 = new Rgb(v[3], v[4], v[5], v[6]);
+            const c1 = new Rgb(v[7], v[8], v[9], v[10]);
+            const prev = keys[keys.length - 1];
+            if (!prev || prev.step !== left || !Rgb.eq(prev.color, c0)) {
+                keys.push(new RgbKey(left, c0));
+            }
+
+            if (right > left) {
+                const f = RgbGradient.ggrSegmentInternal(
+                    c0, c1, (v[1] - left) / (right - left), v[11], v[12]);
+                RgbGradient.subdivideInternal(
+                    f, left, right, 0.0, 1.0, f(0.0), f(1.0),
+                    tolerance, 8, keys);
+            }
+            keys.push(new RgbKey(right, c1));
+        }
+
+        const g = new RgbGradient();
+        g._keys = keys;
+        return g;
+    }
+
+    /**
+     * @param {number[]} hexes 24 bit integers, 0xRRGGBB
+     * @returns the gradient
+     */
+    static fromHexesInternal (hexes) {
+        return RgbGradient.fromColors(hexes.map(
+            (hex) => Rgb.fromRGBA32(hex << 0x08 | 0xff)));
+    }
+
+    /**
+     * Creates a function that evaluates a GIMP gradient segment at a factor
+     * in [0.0, 1.0], following GIMP's blend and coloring types.
+     *
+     * @param {Rgb} c0 left color
+     * @param {Rgb} c1 right color
+     * @param {number} mid midpoint relative to the segment
+     * @param {number} blend blend type
+     * @param {number} coloring coloring type
+     * @returns the function
+     */
+    static ggrSegmentInternal (c0, c1, mid, blend, coloring) {
+        const m = Math.min(Math.max(mid, 0.000001), 0.999999);
+        const linear = (t) => t <= m ?
+            0.5 * t / m :
+            0.5 + 0.5 * (t - m) / (1.0 - m);
+
+        let factor = linear;
+        if (blend === 1) {
+            const e = Math.log(0.5) / Math.log(m);
+            factor = (t) => Math.pow(t, e);
+        } else if (blend === 2) {
+            factor = (t) => (Math.sin(Math.PI * (linear(t) - 0.5)) + 1.0)
+                * 0.5;
+        } else if (blend === 3) {
+            factor = (t) => {
+                const x = linear(t) - 1.0;
+                return Math.sqrt(1.0 - x * x);
+            };
+        } else if (blend === 4) {
+            factor = (t) => {
+                const x = linear(t);
+                return 1.0 - Math.sqrt(1.0 - x * x);
+            };
+        } else if (blend === 5) {
+            factor = (t) => t >= m ? 1.0 : 0.0;
+        }
+
+        if (coloring === 1 || coloring === 2) {
+            const h0 = Hsv.fromRgb(c0);
+            const h1 = Hsv.fromRgb(c1);
+            const easing = coloring === 1 ? Hue.increasing : Hue.decreasing;
+            return (t) => Rgb.fromHsv(Hsv.mix(h0, h1, factor(t), easing));
+        }
+        return (t) => Rgb.mix(c0, c1, factor(t));
+    }
+
+    /**
+     * Mixes two colors in CIE LAB.
+     *
+     * @param {Rgb} o origin
+     * @param {Rgb} d destination
+     * @param {number} [t=0.5] factor
+     * @returns the mixed color
+     */
+    static mixCieLab (o, d, t = 0.5) {
+        return Rgb.cieLabToSRgb(Lab.mix(
+            Rgb.sRgbToCieLab(o),
+            Rgb.sRgbToCieLab(d), t));
+    }
+
+    /**
+     * Mixes two colors in CIE LCH. Where one color is gray, its hue is
+     * powerless and the other's is used.
+     *
+     * @param {Rgb} o origin
+     * @param {Rgb} d destination
+     * @param {number} [t=0.5] factor
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the mixed color
+     */
+    static mixCieLch (o, d, t = 0.5, easing = Hue.shorter) {
+        return Rgb.cieLchToSRgb(Lch.mix(
+            Rgb.sRgbToCieLch(o),
+            Rgb.sRgbToCieLch(d), t, easing));
+    }
+
+    /**
+     * Mixes two colors in OK LCH. Where one color is gray, its hue is
+     * powerless and the other's is used.
+     *
+     * @param {Rgb} o origin
+     * @param {Rgb} d destination
+     * @param {number} [t=0.5] factor
+     * @param {function} [easing=Hue.shorter] hue easing function
+     * @returns the mixed color
+     */
+    static mixOkLch (o, d, t = 0.5, easing = Hue.shorter) {
+        return Rgb.okLchToSRgb(Lch.mix(
+            Rgb.sRgbToOkLch(o),
+            Rgb.sRgbToOkLch(d), t, easing));
+    }
+
+    /**
+     * Mixes two colors in gamma sRGB.
+     *
+     * @param {Rgb} o origin
+     * @param {Rgb} d destination
+     * @param {number} [t=0.5] factor
+     * @returns the mixed color
+     */
+    static mixSRgb (o, d, t = 0.5) {
+        return Rgb.mix(o, d, t);
+    }
+
+    /**
+     * Mixes two colors in linear sRGB.
+     *
+     * @param {Rgb} o origin
+     * @param {Rgb} d destination
+     * @param {number} [t=0.5] factor
+     * @returns the mixed color
+     */
+    static mixSRgbLinear (o, d, t = 0.5) {
+        return Rgb.sRgbLinearToGamma(Rgb.mix(
+            Rgb.sRgbGammaToLinear(o),
+            Rgb.sRgbGammaToLinear(d), t));
+    }
+
+    /**
+     * Returns a ColorBrewer sequential or diverging scheme by name, e.g.,
+     * 'Blues', 'RdBu' or 'YlGnBu', in the scheme's own order: light to dark
+     * for sequential schemes, one extreme to the other for diverging.
+     * Returns null if the name is not found.
+     *
+     * @param {string} [name='YlGnBu'] scheme name
+     * @returns the gradient
+     */
+    static paletteBrewer (name = 'YlGnBu') {
+        if (!Object.prototype.hasOwnProperty.call(RgbGradient.BREWER, name)) {
+            return null;
+        }
+        return RgbGradient.fromHexesInternal(RgbGradient.BREWER[name]);
+    }
+
+    /**
+     * Returns the Cividis color map from matplotlib, from low to high.
+     *
+     * @returns the gradient
+     */
+    static paletteCividis () {
+        return RgbGradient.fromHexesInternal(RgbGradient.CIVIDIS);
+    }
+
+    /**
+     * Creates a gradient by sampling a cosine palette at evenly spaced keys.
+     * The default coefficients give a rainbow. Colors are clamped.
+     *
+     * @param {Vec3} [a] offset
+     * @param {Vec3} [b] amplitude
+     * @param {Vec3} [c] frequency
+     * @param {Vec3} [d] phase
+     * @param {number} [count=16] number of keys
+     * @returns the gradient
+     */
+    static paletteCosine (
+        a = new Vec3(0.5, 0.5, 0.5),
+        b = new Vec3(0.5, 0.5, 0.5),
+        c = new Vec3(1.0, 1.0, 1.0),
+        d = new Vec3(0.0, 0.33, 0.67),
+        count = 16) {
+
+        const len = Math.max(count, 2);
+        const toStep = 1.0 / (len - 1.0);
+        const colors = [];
+        for (let i = 0; i < len; ++i) {
+            colors.push(Rgb.clamp(RgbGradient.cosine(i * toStep, a, b, c, d)));
+        }
+        return RgbGradient.fromColors(colors);
+    }
+
+    /**
+     * Returns the Inferno color map from matplotlib, from low to high.
+     *
+     * @returns the gradient
+     */
+    static paletteInferno () {
+        return RgbGradient.fromHexesInternal(RgbGradient.INFERNO);
+    }
+
+    /**
+     * Returns the Magma color map from matplotlib, from low to high.
+     *
+     * @returns the gradient
+     */
+    static paletteMagma () {
+        return RgbGradient.fromHexesInternal(RgbGradient.MAGMA);
+    }
+
+    /**
+     * Returns the Plasma color map from matplotlib, from low to high.
+     *
+     * @returns the gradient
+     */
+    static palettePlasma () {
+        return RgbGradient.fromHexesInternal(RgbGradient.PLASMA);
+    }
+
+    /**
+     * Returns the Turbo color map by Anton Mikhailov, from low to high.
+     *
+     * @returns the gradient
+     */
+    static paletteTurbo () {
+        return RgbGradient.fromHexesInternal(RgbGradient.TURBO);
+    }
+
+    /**
+     * Returns the Twilight color map from matplotlib. It is cyclic; its
+     * first and last keys are nearly equal.
+     *
+     * @returns the gradient
+     */
+    static paletteTwilight () {
+        return RgbGradient.fromHexesInternal(RgbGradient.TWILIGHT);
+    }
+
+    /**
+     * Returns the Viridis color map from matplotlib, from low to high.
+     *
+     * @returns the gradient
+     */
+    static paletteViridis () {
+        return RgbGradient.fromHexesInternal(RgbGradient.VIRIDIS);
+    }
+
+    /**
+     * Samples a lookup table made by bake at a step in [0.0, 1.0]. Linear
+     * sampling mixes the two nearest entries in the space of the table;
+     * otherwise, the nearest entry is returned.
+     *
+     * @param {Float32Array|Uint8ClampedArray} lut lookup table
+     * @param {number} [step=0.5] step
+     * @param {boolean} [linear=true] linear sampling
+     * @returns the color
+     */
+    static sample (lut, step = 0.5, linear = true) {
+        const entries = lut.length >> 2;
+        if (entries < 1) { return Rgb.clear(); }
+
+        const last = entries - 1;
+        const scale = lut instanceof Uint8ClampedArray ? 1.0 / 255.0 : 1.0;
+        const x = Math.min(Math.max(step, 0.0), 1.0) * last;
+        if (!linear) {
+            const a = Math.round(x) * 4;
+            return new Rgb(
+                lut[a] * scale,
+                lut[a + 1] * scale,
+                lut[a + 2] * scale,
+                lut[a + 3] * scale);
+        }
+
+        const lo = Math.min(Math.floor(x), last);
+        const hi = Math.min(lo + 1, last);
+        const t = x - lo;
+        const u = 1.0 - t;
+        const a = lo * 4;
+        const b = hi * 4;
+        return new Rgb(
+            (u * lut[a] + t * lut[b]) * scale,
+            (u * lut[a + 1] + t * lut[b + 1]) * scale,
+            (u * lut[a + 2] + t * lut[b + 2]) * scale,
+            (u * lut[a + 3] + t * lut[b + 3]) * scale);
+    }
+
+    /**
+     * Samples a lookup table made by bake at an array of steps, writing RGBA
+     * channels to the output four numbers per step. The table and output
+     * need not be of the same type.
+     *
+     * @param {Float32Array|Uint8ClampedArray} lut lookup table
+     * @param {number[]|Float32Array} steps steps
+     * @param {Float32Array|Uint8ClampedArray} [out] output
+     * @param {boolean} [linear=true] linear sampling
+     * @returns the output
+     */
+    static sampleArray (
+        lut, steps,
+        out = new Float32Array(steps.length * 4),
+        linear = true) {
+
+        const entries = lut.length >> 2;
+        if (entries < 1) { return out; }
+
+        const last = entries - 1;
+        const scale = (lut instanceof Uint8ClampedArray ? 1.0 / 255.0 : 1.0)
+            * (out instanceof Uint8ClampedArray ? 255.0 : 1.0);
+        const len = Math.min(steps.length, out.length >> 2);
+        for (let i = 0; i < len; ++i) {
+            const x = Math.min(Math.max(steps[i], 0.0), 1.0) * last;
+            const j = i * 4;
+            if (linear) {
+                const lo = Math.min(Math.floor(x), last);
+                const hi = Math.min(lo + 1, last);
+                const t = x - lo;
+                const u = 1.0 - t;
+                const a = lo * 4;
+                const b = hi * 4;
+                out[j] = (u * lut[a] + t * lut[b]) * scale;
+                out[j + 1] = (u * lut[a + 1] + t * lut[b + 1]) * scale;
+                out[j + 2] = (u * lut[a + 2] + t * lut[b + 2]) * scale;
+                out[j + 3] = (u * lut[a + 3] + t * lut[b + 3]) * scale;
+            } else {
+                const a = Math.round(x) * 4;
+                out[j] = lut[a] * scale;
+                out[j + 1] = lut[a + 1] * scale;
+                out[j + 2] = lut[a + 2] * scale;
+                out[j + 3] = lut[a + 3] * scale;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Finds the stops needed to draw the gradient with linear interpolation
+     * in gamma sRGB. Stops are added at 0.0 and 1.0 if the gradient's keys
+     * do not reach them. Colors are clamped.
+     *
+     * @param {RgbGradient} g gradient
+     * @param {function} mix mixing function
+     * @param {function} easing hue easing function
+     * @param {number} tolerance tolerance
+     * @returns the stops
+     */
+    static stopsInternal (g, mix, easing, tolerance) {
+        const keys = g._keys;
+        const len = keys.length;
+        const first = keys[0];
+        const last = keys[len - 1];
+
+        const stops = [];
+        if (first.step > 0.0) {
+            stops.push(new RgbKey(0.0, Rgb.clamp(first.color)));
+        }
+        stops.push(new RgbKey(first.step, Rgb.clamp(first.color)));
+        for (let i = 1; i < len; ++i) {
+            const prev = keys[i - 1];
+            const next = keys[i];
+            const c1 = Rgb.clamp(next.color);
+            if (mix !== RgbGradient.mixSRgb && next.step > prev.step) {
+                const f = (t) => Rgb.clamp(
+                    mix(prev.color, next.color, t, easing));
+                RgbGradient.subdivideInternal(
+                    f, prev.step, next.step, 0.0, 1.0,
+                    stops[stops.length - 1].color, c1,
+                    tolerance, 8, stops);
+            }
+            stops.push(new RgbKey(next.step, c1));
+        }
+        if (last.step < 1.0) {
+            stops.push(new RgbKey(1.0, Rgb.clamp(last.color)));
+        }
+        return stops;
+    }
+
+    /**
+     * Recursively splits an interval of a color function in half until the
+     * function is approximated by linear interpolation in gamma sRGB at the
+     * interval's quarters. Keys for interior points are appended to the
+     * output in order, excluding the interval's end points.
+     *
+     * @param {function} f color function
+     * @param {number} s0 step at the origin
+     * @param {number} s1 step at the destination
+     * @param {number} t0 origin factor
+     * @param {number} t1 destination factor
+     * @param {Rgb} c0 color at the origin
+     * @param {Rgb} c1 color at the destination
+     * @param {number} tolerance tolerance
+     * @param {number} depth remaining depth
+     * @param {RgbKey[]} out output keys
+     * @returns the output keys
+     */
+    static subdivideInternal (
+        f, s0, s1, t0, t1, c0, c1,
+        tolerance, depth, out) {
+
+        if (depth < 1) { return out; }
+
+        const tm = (t0 + t1) * 0.5;
+        const cm = f(tm);
+        let err = 0.0;
+        const quarters = [0.25, 0.5, 0.75];
+        for (const q of quarters) {
+            const a = q === 0.5 ? cm : f(t0 + (t1 - t0) * q);
+            const b = Rgb.mix(c0, c1, q);
+            err = Math.max(err,
+                Math.abs(a.r - b.r), Math.abs(a.g - b.g),
+                Math.abs(a.b - b.b), Math.abs(a.alpha - b.alpha));
+        }
+
+        if (err > tolerance) {
+            RgbGradient.subdivideInternal(
+                f, s0, s1, t0, tm, c0, cm, tolerance, depth - 1, out);
+            out.push(new RgbKey(s0 + (s1 - s0) * tm, cm));
+            RgbGradient.subdivideInternal(
+                f, s0, s1, tm, t1, cm, c1, tolerance, depth - 1, out);
+        }
+        return out;
+    }
+
+    /**
+     * @param {Rgb} c color
+     * @param {Float32Array|Uint8ClampedArray} out output
+     * @param {number} j index
+     * @param {number} scale channel scale
+     */
+    static writeInternal (c, out, j, scale) {
+        out[j] = c.r * scale;
+        out[j + 1] = c.g * scale;
+        out[j + 2] = c.b * scale;
+        out[j + 3] = c.alpha * scale;
+    }
+}
+
+/**
+ * The Cividis color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.CIVIDIS = Object.freeze([
+    0x00224e, 0x00285b, 0x002e6a, 0x043371, 0x1a386f, 0x273e6e, 0x32436d,
+    0x3b496c, 0x434e6c, 0x4b546c, 0x52596d, 0x5a5f6e, 0x61656f, 0x686a71,
+    0x6f7073, 0x757676, 0x7c7b78, 0x848179, 0x8b8778, 0x938d78, 0x9b9376,
+    0xa39a75, 0xaba072, 0xb3a670, 0xbbad6c, 0xc3b469, 0xccba64, 0xd4c15f,
+    0xddc958, 0xe6d051, 0xefd748, 0xf8df3c, 0xfee838
+]);
+
+/**
+ * The Inferno color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.INFERNO = Object.freeze([
+    0x000004, 0x040312, 0x0b0724, 0x150b37, 0x210c4a, 0x2e0a5a, 0x3c0965,
+    0x4a0c6b, 0x57106d, 0x63146e, 0x70196e, 0x7d1e6d, 0x89226a, 0x962766,
+    0xa32b61, 0xaf315c, 0xbb3755, 0xc63e4d, 0xd14644, 0xdb4f3b, 0xe35932,
+    0xeb6528, 0xf1711e, 0xf67f14, 0xf98d0a, 0xfb9c06, 0xfcab0f, 0xfbba1f,
+    0xf9ca32, 0xf5d949, 0xf2e865, 0xf3f586, 0xfcffa4
+]);
+
+/**
+ * The Magma color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.MAGMA = Object.freeze([
+    0x000004, 0x030311, 0x0a0822, 0x130d33, 0x1d1146, 0x28115a, 0x36106a,
+    0x430f76, 0x50127c, 0x5d177f, 0x691c81, 0x762181, 0x822681, 0x8f2a81,
+    0x9c2e7f, 0xa9327d, 0xb63779, 0xc33b75, 0xcf4170, 0xdb486a, 0xe65163,
+    0xee5c5e, 0xf5695c, 0xf9785d, 0xfb8761, 0xfd9668, 0xfea571, 0xfeb47b,
+    0xfec387, 0xfed194, 0xfde0a2, 0xfceeb0, 0xfcfdbf
+]);
+
+/**
+ * The Plasma color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.PLASMA = Object.freeze([
+    0x0d0887, 0x220690, 0x310596, 0x3f049c, 0x4c02a1, 0x5901a5, 0x6600a7,
+    0x7201a8, 0x7e03a8, 0x8909a6, 0x9511a2, 0x9f1a9c, 0xa92396, 0xb22c8e,
+    0xbb3587, 0xc33e80, 0xcb4778, 0xd25071, 0xd9596a, 0xe06263, 0xe66c5c,
+    0xeb7555, 0xf07f4f, 0xf48a48, 0xf89441, 0xfb9f3a, 0xfdab33, 0xfeb72d,
+    0xfdc328, 0xfcd025, 0xf9dd25, 0xf5eb27, 0xf0f921
+]);
+
+/**
+ * The Turbo color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.TURBO = Object.freeze([
+    0x30123b, 0x392a73, 0x4040a1, 0x4456c7, 0x466be3, 0x467ff6, 0x4293ff,
+    0x37a7fa, 0x29bbec, 0x1dcdd8, 0x18dcc3, 0x1ee8b0, 0x31f299, 0x4cf97e,
+    0x6bfd64, 0x8aff4d, 0xa3fd3c, 0xb8f735, 0xcced34, 0xdee037, 0xedd03a,
+    0xf8c03a, 0xfdae35, 0xfe982c, 0xfb8022, 0xf56817, 0xec520f, 0xe04009,
+    0xd23105, 0xc02302, 0xac1701, 0x950d01, 0x7a0403
+]);
+
+/**
+ * The Twilight color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.TWILIGHT = Object.freeze([
+    0xe2d9e2, 0xd6d7dd, 0xc3ced4, 0xabc2cc, 0x94b4c7, 0x81a6c3, 0x7297c1,
+    0x6886be, 0x6275ba, 0x5f63b5, 0x5e51ad, 0x5d3da1, 0x592a8f, 0x521b77,
+    0x45135c, 0x381146, 0x2f1437, 0x3a113a, 0x4b1342, 0x5f174a, 0x741e4f,
+    0x872750, 0x983550, 0xa64550, 0xb25652, 0xbb6858, 0xc27c62, 0xc78f72,
+    0xcca388, 0xd1b5a2, 0xd8c6bd, 0xded3d5, 0xe2d9e2
+]);
+
+/**
+ * The Viridis color map from matplotlib, sampled at 33 evenly spaced keys, as
+ * 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.VIRIDIS = Object.freeze([
+    0x440154, 0x470d60, 0x48186a, 0x482374, 0x472d7b, 0x453681, 0x424086,
+    0x3f4989, 0x3b528b, 0x375a8d, 0x33638d, 0x2f6a8e, 0x2c728e, 0x297a8e,
+    0x26818e, 0x23898e, 0x21908c, 0x1f988b, 0x1f9f88, 0x21a685, 0x28ae80,
+    0x31b57b, 0x3ebc74, 0x4cc26c, 0x5dc963, 0x6ece58, 0x82d34c, 0x96d83f,
+    0xabdc32, 0xc0df24, 0xd5e21a, 0xeae51a, 0xfde725
+]);
+
+/**
+ * ColorBrewer sequential and diverging schemes by Cynthia Brewer,
+ * https://colorbrewer2.org/ , with the greatest number of classes available,
+ * as 24 bit integers, 0xRRGGBB .
+ */
+RgbGradient.BREWER = Object.freeze({
+    Blues: Object.freeze([
+        0xf7fbff, 0xdeebf7, 0xc6dbef, 0x9ecae1, 0x6baed6, 0x4292c6, 0x2171b5,
+        0x08519c, 0x08306b
+    ]),
+    BrBG: Object.freeze([
+        0x543005, 0x8c510a, 0xbf812d, 0xdfc27d, 0xf6e8c3, 0xf5f5f5, 0xc7eae5,
+        0x80cdc1, 0x35978f, 0x01665e, 0x003c30
+    ]),
+    BuGn: Object.freeze([
+        0xf7fcfd, 0xe5f5f9, 0xccece6, 0x99d8c9, 0x66c2a4, 0x41ae76, 0x238b45,
+        0x006d2c, 0x00441b
+    ]),
+    BuPu: Object.freeze([
+        0xf7fcfd, 0xe0ecf4, 0xbfd3e6, 0x9ebcda, 0x8c96c6, 0x8c6bb1, 0x88419d,
+        0x810f7c, 0x4d004b
+    ]),
+    GnBu: Object.freeze([
+        0xf7fcf0, 0xe0f3db, 0xccebc5, 0xa8ddb5, 0x7bccc4, 0x4eb3d3, 0x2b8cbe,
+        0x0868ac, 0x084081
+    ]),
+    Greens: Object.freeze([
+        0xf7fcf5, 0xe5f5e0, 0xc7e9c0, 0xa1d99b, 0x74c476, 0x41ab5d, 0x238b45,
+        0x006d2c, 0x00441b
+    ]),
+    Greys: Object.freeze([
+        0xffffff, 0xf0f0f0, 0xd9d9d9, 0xbdbdbd, 0x969696, 0x737373, 0x525252,
+        0x252525, 0x000000
+    ]),
+    Oranges: Object.freeze([
+        0xfff5eb, 0xfee6ce, 0xfdd0a2, 0xfdae6b, 0xfd8d3c, 0xf16913, 0xd94801,
+        0xa63603, 0x7f2704
+    ]),
+    OrRd: Object.freeze([
+        0xfff7ec, 0xfee8c8, 0xfdd49e, 0xfdbb84, 0xfc8d59, 0xef6548, 0xd7301f,
+        0xb30000, 0x7f0000
+    ]),
+    PiYG: Object.freeze([
+        0x8e0152, 0xc51b7d, 0xde77ae, 0xf1b6da, 0xfde0ef, 0xf7f7f7, 0xe6f5d0,
+        0xb8e186, 0x7fbc41, 0x4d9221, 0x276419
+    ]),
+    PRGn: Object.freeze([
+        0x40004b, 0x762a83, 0x9970ab, 0xc2a5cf, 0xe7d4e8, 0xf7f7f7, 0xd9f0d3,
+        0xa6dba0, 0x5aae61, 0x1b7837, 0x00441b
+    ]),
+    PuBu: Object.freeze([
+        0xfff7fb, 0xece7f2, 0xd0d1e6, 0xa6bddb, 0x74a9cf, 0x3690c0, 0x0570b0,
+        0x045a8d, 0x023858
+    ]),
+    PuBuGn: Object.freeze([
+        0xfff7fb, 0xece2f0, 0xd0d1e6, 0xa6bddb, 0x67a9cf, 0x3690c0, 0x02818a,
+        0x016c59, 0x014636
+    ]),
+    PuOr: Object.freeze([
+        0x7f3b08, 0xb35806, 0xe08214, 0xfdb863, 0xfee0b6, 0xf7f7f7, 0xd8daeb,
+        0xb2abd2, 0x8073ac, 0x542788, 0x2d004b
+    ]),
+    PuRd: Object.freeze([
+        0xf7f4f9, 0xe7e1ef, 0xd4b9da, 0xc994c7, 0xdf65b0, 0xe7298a, 0xce1256,
+        0x980043, 0x67001f
+    ]),
+    Purples: Object.freeze([
+        0xfcfbfd, 0xefedf5, 0xdadaeb, 0xbcbddc, 0x9e9ac8, 0x807dba, 0x6a51a3,
+        0x54278f, 0x3f007d
+    ]),
+    RdBu: Object.freeze([
+        0x67001f, 0xb2182b, 0xd6604d, 0xf4a582, 0xfddbc7, 0xf7f7f7, 0xd1e5f0,
+        0x92c5de, 0x4393c3, 0x2166ac, 0x053061
+    ]),
+    RdGy: Object.freeze([
+        0x67001f, 0xb2182b, 0xd6604d, 0xf4a582, 0xfddbc7, 0xffffff, 0xe0e0e0,
+        0xbababa, 0x878787, 0x4d4d4d, 0x1a1a1a
+    ]),
+    RdPu: Object.freeze([
+        0xfff7f3, 0xfde0dd, 0xfcc5c0, 0xfa9fb5, 0xf768a1, 0xdd3497, 0xae017e,
+        0x7a0177, 0x49006a
+    ]),
+    RdYlBu: Object.freeze([
+        0xa50026, 0xd73027, 0xf46d43, 0xfdae61, 0xfee090, 0xffffbf, 0xe0f3f8,
+        0xabd9e9, 0x74add1, 0x4575b4, 0x313695
+    ]),
+    RdYlGn: Object.freeze([
+        0xa50026, 0xd73027, 0xf46d43, 0xfdae61, 0xfee08b, 0xffffbf, 0xd9ef8b,
+        0xa6d96a, 0x66bd63, 0x1a9850, 0x006837
+    ]),
+    Reds: Object.freeze([
+        0xfff5f0, 0xfee0d2, 0xfcbba1, 0xfc9272, 0xfb6a4a, 0xef3b2c, 0xcb181d,
+        0xa50f15, 0x67000d
+    ]),
+    Spectral: Object.freeze([
+        0x9e0142, 0xd53e4f, 0xf46d43, 0xfdae61, 0xfee08b, 0xffffbf, 0xe6f598,
+        0xabdda4, 0x66c2a5, 0x3288bd, 0x5e4fa2
+    ]),
+    YlGn: Object.freeze([
+        0xffffe5, 0xf7fcb9, 0xd9f0a3, 0xaddd8e, 0x78c679, 0x41ab5d, 0x238443,
+        0x006837, 0x004529
+    ]),
+    YlGnBu: Object.freeze([
+        0xffffd9, 0xedf8b1, 0xc7e9b4, 0x7fcdbb, 0x41b6c4, 0x1d91c0, 0x225ea8,
+        0x253494, 0x081d58
+    ]),
+    YlOrBr: Object.freeze([
+        0xffffe5, 0xfff7bc, 0xfee391, 0xfec44f, 0xfe9929, 0xec7014, 0xcc4c02,
+        0x993404, 0x662506
+    ]),
+    YlOrRd: Object.freeze([
+        0xffffcc, 0xffeda0, 0xfed976, 0xfeb24c, 0xfd8d3c, 0xfc4e2a, 0xe31a1c,
+        0xbd0026, 0x800026
+    ])
+});
\ No newline at end of file
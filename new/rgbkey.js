@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Holds a gamma sRGB color at a step in [0.0, 1.0] of a gradient. Keys are
+ * identified by their step alone; two keys whose steps approximate each other
+ * are considered equal, regardless of color.
+ */
+class RgbKey {
+    /**
+     * When a color is not provided, the color, including alpha, will match
+     * the step's value.
+     *
+     * @param {number} [step=0.0] step
+     * @param {Rgb} [color] color
+     */
+    constructor (step = 0.0, color = new Rgb(step, step, step, step)) {
+        this._step = Math.min(Math.max(step, 0.0), 1.0);
+        this._color = color;
+
+        Object.freeze(this);
+    }
+
+    get step () { return this._step; }
+
+    get color () { return this._color; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @param {*} obj
+     * @returns the evaluation
+     */
+    equals (obj) {
+        if (!obj) { return false; }
+        if (this === obj) { return true; }
+        if (obj.constructor.name !== this.constructor.name) {
+            return false;
+        }
+        return RgbKey.approx(this, obj);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        return [
+            "{\"step\":", this._step.toFixed(3),
+            ",\"color\":", this._color.toString(precision),
+            '}'
+        ].join('');
+    }
+
+    /**
+     * @param {RgbKey} o left comparisand
+     * @param {RgbKey} d right comparisand
+     * @param {number} [tolerance=0.0005] tolerance
+     * @returns the evaluation
+     */
+    static approx (o, d, tolerance = 0.0005) {
+        return Math.abs(d.step - o.step) < tolerance;
+    }
+
+    /**
+     * Compares two keys by their step, for use in sorting.
+     *
+     * @param {RgbKey} o left comparisand
+     * @param {RgbKey} d right comparisand
+     * @returns the comparison
+     */
+    static compare (o, d) {
+        if (o.step > d.step) { return 1; }
+        if (o.step < d.step) { return -1; }
+        return 0;
+    }
+
+    /**
+     * @param {RgbKey} o key
+     * @param {Rgb} color color
+     * @returns the key
+     */
+    static copyColor (o, color) {
+        return new RgbKey(o.step, color);
+    }
+
+    /**
+     * @param {RgbKey} o key
+     * @param {number} step step
+     * @returns the key
+     */
+    static copyStep (o, step) {
+        return new RgbKey(step, o.color);
+    }
+}
\ No newline at end of file
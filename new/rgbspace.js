@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Defines an RGB color space by the chromaticities of its primaries, its
+ * white point and its transfer function. Matrices to and from CIE XYZ are
+ * derived from the primaries and white point. The space's name matches its
+ * identifier in the CSS color() function.
+ */
+class RgbSpace {
+    /**
+     * @param {string} name name
+     * @param {Vec2[]} primaries red, green and blue chromaticities
+     * @param {Xyz} white white point
+     * @param {function} toLinear gamma to linear transfer function
+     * @param {function} toGamma linear to gamma transfer function
+     */
+    constructor (name, primaries, white, toLinear, toGamma) {
+        this._name = name;
+        this._primaries = Object.freeze(primaries.slice(0, 3));
+        this._white = white;
+        this._toLinear = toLinear;
+        this._toGamma = toGamma;
+
+        const xyzs = this._primaries.map((p) => new Vec3(
+            p.x / p.y, 1.0, (1.0 - p.x - p.y) / p.y));
+        const m = Mat3x3.fromColumns(xyzs[0], xyzs[1], xyzs[2]);
+        const s = Mat3x3.mulVec3(Mat3x3.inverse(m),
+            new Vec3(white.x, white.y, white.z));
+        this._toXyz = Mat3x3.mul(m, Mat3x3.fromScale(s));
+        this._fromXyz = Mat3x3.inverse(this._toXyz);
+
+        Object.freeze(this);
+    }
+
+    get name () { return this._name; }
+
+    get primaries () { return this._primaries; }
+
+    get white () { return this._white; }
+
+    get toLinear () { return this._toLinear; }
+
+    get toGamma () { return this._toGamma; }
+
+    get toXyz () { return this._toXyz; }
+
+    get fromXyz () { return this._fromXyz; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @returns the string
+     */
+    toString () {
+        return "{\"name\":\"" + this._name + "\"}";
+    }
+
+    /**
+     * Converts a gamma color from one space to another. When the spaces'
+     * white points differ, the color is adapted.
+     *
+     * @param {Rgb} o gamma color
+     * @param {RgbSpace} src source space
+     * @param {RgbSpace} dst destination space
+     * @param {Mat3x3} [cone=Cat.bradford()] adaptation cone response
+     * @returns the converted color
+     */
+    static convert (o, src, dst, cone = Cat.bradford()) {
+        return RgbSpace.linearToGamma(RgbSpace.xyzToLinear(
+            Xyz.adapt(RgbSpace.linearToXyz(
+                RgbSpace.gammaToLinear(o, src), src),
+            src.white, dst.white, cone), dst), dst);
+    }
+
+    /**
+     * Finds a space by its CSS identifier, e.g., 'display-p3'. Returns null
+     * if no space is found.
+     *
+     * @param {string} name name
+     * @returns the space
+     */
+    static fromName (name) {
+        switch (name) {
+            case 'a98-rgb':
+                return RgbSpace.adobeRgb();
+            case 'display-p3':
+                return RgbSpace.displayP3();
+            case 'prophoto-rgb':
+                return RgbSpace.proPhoto();
+            case 'rec2020':
+                return RgbSpace.rec2020();
+            case 'srgb':
+                return RgbSpace.sRgb();
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {Rgb} o gamma color
+     * @param {RgbSpace} space color space
+     * @returns the linear color
+     */
+    static gammaToLinear (o, space) {
+        const f = space.toLinear;
+        return new Rgb(f(o.r), f(o.g), f(o.b), o.alpha);
+    }
+
+    /**
+     * @param {Rgb} o linear color
+     * @param {RgbSpace} space color space
+     * @returns the gamma color
+     */
+    static linearToGamma (o, space) {
+        const f = space.toGamma;
+        return new Rgb(f(o.r), f(o.g), f(o.b), o.alpha);
+    }
+
+    /**
+     * Converts a linear color to CIE XYZ, relative to the space's white.
+     *
+     * @param {Rgb} o linear color
+     * @param {RgbSpace} space color space
+     * @returns the XYZ color
+     */
+    static linearToXyz (o, space) {
+        const m = space.toXyz;
+        return new Xyz(
+            m.m00 * o.r + m.m01 * o.g + m.m02 * o.b,
+            m.m10 * o.r + m.m11 * o.g + m.m12 * o.b,
+            m.m20 * o.r + m.m21 * o.g + m.m22 * o.b,
+            o.alpha);
+    }
+
+    /**
+     * Converts a CIE XYZ color, relative to the space's white, to linear.
+     *
+     * @param {Xyz} o XYZ color
+     * @param {RgbSpace} space color space
+     * @returns the linear color
+     */
+    static xyzToLinear (o, space) {
+        const m = space.fromXyz;
+        return new Rgb(
+            m.m00 * o.x + m.m01 * o.y + m.m02 * o.z,
+            m.m10 * o.x + m.m11 * o.y + m.m12 * o.z,
+            m.m20 * o.x + m.m21 * o.y + m.m22 * o.z,
+            o.alpha);
+    }
+
+    /**
+     * @returns the Adobe RGB (1998) color space
+     */
+    static adobeRgb () {
+        return new RgbSpace('a98-rgb', [
+            new Vec2(0.64, 0.33),
+            new Vec2(0.21, 0.71),
+            new Vec2(0.15, 0.06)
+        ], Xyz.d65(),
+        (v) => Math.sign(v) * Math.pow(Math.abs(v), 563.0 / 256.0),
+        (v) => Math.sign(v) * Math.pow(Math.abs(v), 256.0 / 563.0));
+    }
+
+    /**
+     * @returns the Display P3 color space
+     */
+    static displayP3 () {
+        return new RgbSpace('display-p3', [
+            new Vec2(0.68, 0.32),
+            new Vec2(0.265, 0.69),
+            new Vec2(0.15, 0.06)
+        ], Xyz.d65(),
+        Rgb.sRgbGammaToLinearInternal,
+        Rgb.sRgbLinearToGammaInternal);
+    }
+
+    /**
+     * @returns the ProPhoto RGB color space
+     */
+    static proPhoto () {
+        return new RgbSpace('prophoto-rgb', [
+            new Vec2(0.734699, 0.265301),
+            new Vec2(0.159597, 0.840403),
+            new Vec2(0.036598, 0.000105)
+        ], Xyz.d50(),
+        (v) => Math.abs(v) <= 0.03125 ?
+            v / 16.0 :
+            Math.sign(v) * Math.pow(Math.abs(v), 1.8),
+        (v) => Math.abs(v) >= 0.001953125 ?
+            Math.sign(v) * Math.pow(Math.abs(v), 1.0 / 1.8) :
+            v * 16.0);
+    }
+
+    /**
+     * @returns the Rec. 2020 color space
+     */
+    static rec2020 () {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return new RgbSpace('rec2020', [
+            new Vec2(0.708, 0.292),
+            new Vec2(0.17, 0.797),
+            new Vec2(0.131, 0.046)
+        ], Xyz.d65(),
+        (v) => Math.abs(v) < beta * 4.5 ?
+            v / 4.5 :
+            Math.sign(v) * Math.pow(
+                (Math.abs(v) + alpha - 1.0) / alpha, 1.0 / 0.45),
+        (v) => Math.abs(v) < beta ?
+            v * 4.5 :
+            Math.sign(v) * (alpha * Math.pow(Math.abs(v), 0.45)
+                - (alpha - 1.0)));
+    }
+
+    /**
+     * @returns the sRGB color space
+     */
+    static sRgb () {
+        return new RgbSpace('srgb', [
+            new Vec2(0.64, 0.33),
+            new Vec2(0.3, 0.6),
+            new Vec2(0.15, 0.06)
+        ], Xyz.d65(),
+        Rgb.sRgbGammaToLinearInternal,
+        Rgb.sRgbLinearToGammaInternal);
+    }
+}
\ No newline at end of file
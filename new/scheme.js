@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Generates color schemes for data visualization in OK LCH: sequential
+ * ramps with equal steps in lightness, diverging schemes around a midpoint
+ * and qualitative sets of maximally distinct colors. Lightness is in
+ * [0.0, 100.0]; chroma is scaled to match. Anchors are gamma sRGB colors
+ * which are clamped to the sRGB gamut, then appear in a scheme otherwise
+ * unchanged. Generated colors are kept within a lightness range and below a
+ * chroma cap; anchors are exempt from both. A scheme's count is raised where
+ * needed so that every anchor appears. A count less than one gives no
+ * colors. All colors returned are in the sRGB gamut.
+ */
+class Scheme {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Generates a diverging scheme: two ramps which darken away from a
+     * light midpoint, from the low arm to the high arm. Each arm's anchors
+     * set its hue and chroma. By default the midpoint is a neutral gray at
+     * the upper lightness bound. For an even count, the midpoint is
+     * omitted. Each arm has at least as many colors as it has anchors,
+     * except that a count of one gives the midpoint alone.
+     *
+     * @param {number} [count=11] number of colors
+     * @param {Rgb[]} [low] anchors of the low arm
+     * @param {Rgb[]} [high] anchors of the high arm
+     * @param {Rgb} [middle=null] midpoint anchor
+     * @param {number} [lightLb=25.0] lightness lower bound
+     * @param {number} [lightUb=97.0] lightness upper bound
+     * @param {number} [chromaUb=Number.MAX_VALUE] chroma upper bound
+     * @returns the colors
+     */
+    static diverging (
+        count = 11,
+        low = [Rgb.fromRGBA32(0xb2182bff)],
+        high = [Rgb.fromRGBA32(0x2166acff)],
+        middle = null,
+        lightLb = 25.0, lightUb = 97.0,
+        chromaUb = Number.MAX_VALUE) {
+
+        const n = count | 0;
+        if (n < 1) { return []; }
+        const half = Math.max(n >> 1, low.length, high.length);
+        const mid = middle !== null ?
+            Rgb.clamp(middle) :
+            Rgb.clamp(Rgb.okLchToSRgb(new Lch(lightUb, 0.0, 0.0, 1.0)));
+        if (n === 1) { return [mid]; }
+        const arm = (anchors) => {
+            const keys = Scheme.keysInternal(anchors);
+            const lb = keys.reduce((a, k) => Math.min(a, k.lch.l), lightLb);
+            const first = Scheme.keysInternal([mid]);
+            return Scheme.rampInternal(half + 1,
+                first.concat(keys), lb, first[0].lch.l, chromaUb).slice(1);
+        };
+
+        const result = arm(low).reverse();
+        if (n & 1) { result.push(mid); }
+        return result.concat(arm(high));
+    }
+
+    /**
+     * Converts anchors to OK LCH keys, sorted from light to dark. Each key
+     * holds the clamped color, 'rgb', its OK LCH, 'lch', and its chroma
+     * relative to the greatest in gamut at its lightness and hue, 's'.
+     *
+     * @param {Rgb[]} anchors anchor colors
+     * @returns the keys
+     */
+    static keysInternal (anchors) {
+        return anchors.map((a) => {
+            const rgb = Rgb.clamp(a);
+            const lch = Rgb.sRgbToOkLch(rgb);
+            const mx = Lch.maxChroma(lch.l, lch.h);
+            return {
+                rgb: rgb,
+                lch: lch,
+                s: mx > 0.0 ? Math.min(lch.c / mx, 1.0) : 0.0
+            };
+        }).sort((a, b) => b.lch.l - a.lch.l);
+    }
+
+    /**
+     * Generates a qualitative scheme of maximally distinct colors. Starting
+     * from the anchors, or else the most chromatic candidate, each color is
+     * chosen from a grid over the sRGB gamut to be farthest in OK LAB from
+     * those already chosen.
+     *
+     * @param {number} [count=8] number of colors
+     * @param {Rgb[]} [anchors=[]] anchors
+     * @param {number} [lightLb=45.0] lightness lower bound
+     * @param {number} [lightUb=90.0] lightness upper bound
+     * @param {number} [chromaUb=Number.MAX_VALUE] chroma upper bound
+     * @returns the colors
+     */
+    static qualitative (
+        count = 8,
+        anchors = [],
+        lightLb = 45.0, lightUb = 90.0,
+        chromaUb = Number.MAX_VALUE) {
+
+        const rgbs = [];
+        const labs = [];
+        const steps = 16;
+        const toStep = 1.0 / (steps - 1);
+        let start = -1;
+        let maxC = -1.0;
+        for (let r = 0; r < steps; ++r) {
+            for (let g = 0; g < steps; ++g) {
+                for (let b = 0; b < steps; ++b) {
+                    const rgb = new Rgb(
+                        r * toStep, g * toStep, b * toStep, 1.0);
+                    const lch = Rgb.sRgbToOkLch(rgb);
+                    if (lch.l < lightLb || lch.l > lightUb
+                        || lch.c > chromaUb) {
+                        continue;
+                    }
+                    if (lch.c > maxC) {
+                        maxC = lch.c;
+                        start = rgbs.length;
+                    }
+                    rgbs.push(rgb);
+                    labs.push(Rgb.sRgbToOkLab(rgb));
+                }
+            }
+        }
+
+        const len = rgbs.length;
+        const dists = new Float64Array(len).fill(Number.MAX_VALUE);
+        const result = [];
+        const choose = (rgb) => {
+            result.push(rgb);
+            const lab = Rgb.sRgbToOkLab(rgb);
+            for (let i = 0; i < len; ++i) {
+                dists[i] = Math.min(dists[i], Lab.deltaEOk(lab, labs[i]));
+            }
+        };
+
+        const n = count | 0;
+        if (n < 1) { return result; }
+        for (const a of anchors) { choose(Rgb.clamp(a)); }
+        if (result.length === 0 && start >= 0) {
+            choose(rgbs[start]);
+        }
+        while (result.length < n) {
+            let m = -1;
+            let far = 0.0;
+            for (let i = 0; i < len; ++i) {
+                if (dists[i] > far) {
+                    far = dists[i];
+                    m = i;
+                }
+            }
+            if (m < 0) { break; }
+            choose(rgbs[m]);
+        }
+        return result;
+    }
+
+    /**
+     * Generates a ramp. Keys are placed at the steps nearest their
+     * lightness, then lightness is interpolated with equal steps between
+     * the keys and the bounds. Because keys keep their own lightness, steps
+     * on either side of a key may differ slightly. Hue and chroma are
+     * interpolated between keys. Beyond the outermost keys, hue is held, as
+     * is chroma relative to the greatest in gamut, so that the ramp fades
+     * toward its ends. The chroma cap applies to generated colors only.
+     *
+     * @param {number} count number of colors, raised to the number of keys
+     * @param {object[]} keys ordered keys
+     * @param {number} lb lightness at the last step
+     * @param {number} ub lightness at the first step
+     * @param {number} chromaUb chroma upper bound
+     * @returns the colors
+     */
+    static rampInternal (count, keys, lb, ub, chromaUb) {
+        const n = Math.max(count, keys.length, 1);
+        const pins = keys;
+        const last = n - 1;
+        const range = ub - lb;
+        const steps = [];
+        let prev = -1;
+        pins.forEach((key, i) => {
+            const ideal = range > 0.0 && last > 0 ?
+                Math.round((ub - key.lch.l) / range * last) : 0;
+            const step = Math.min(Math.max(ideal, prev + 1),
+                last - (pins.length - 1 - i));
+            steps.push(step);
+            prev = step;
+        });
+
+        const lights = [];
+        if (steps.length === 0 || steps[0] > 0) { lights.push([0, ub]); }
+        pins.forEach((key, i) => { lights.push([steps[i], key.lch.l]); });
+        if (steps.length === 0 || steps[steps.length - 1] < last) {
+            lights.push([last, lb]);
+        }
+
+        const result = [];
+        let p = 0;
+        let q = 0;
+        for (let i = 0; i < n; ++i) {
+            if (p < pins.length && steps[p] === i) {
+                result.push(pins[p].rgb);
+                ++p;
+                continue;
+            }
+
+            while (q < lights.length - 2 && lights[q + 1][0] <= i) { ++q; }
+            const l0 = lights[q];
+            const l1 = lights[q + 1];
+            const span = l1[0] - l0[0];
+            const l = span > 0 ?
+                l0[1] + (l1[1] - l0[1]) * (i - l0[0]) / span :
+                l0[1];
+
+            let h = 0.0;
+            let c = 0.0;
+            const a = pins[p - 1];
+            const b = pins[p];
+            if (a !== undefined && b !== undefined) {
+                const t = (i - steps[p - 1]) / (steps[p] - steps[p - 1]);
+                const aGray = a.lch.c < 0.000001;
+                const bGray = b.lch.c < 0.000001;
+                h = aGray ? b.lch.h : bGray ? a.lch.h :
+                    Hue.shorter(a.lch.h, b.lch.h, t, 1.0);
+                c = Math.min((1.0 - t) * a.lch.c + t * b.lch.c,
+                    Lch.maxChroma(l, h));
+            } else if (a !== undefined || b !== undefined) {
+                const k = a !== undefined ? a : b;
+                h = k.lch.h;
+                c = k.s * Lch.maxChroma(l, h);
+            }
+
+            result.push(Rgb.clamp(Rgb.okLchToSRgb(
+                new Lch(l, Math.min(c, chromaUb), h, 1.0))));
+        }
+        return result;
+    }
+
+    /**
+     * Generates a sequential ramp from light to dark with equal steps in
+     * lightness. The anchors set hue and chroma along the ramp; one anchor
+     * gives a single hue, several give a multi-hue ramp, none gives grays.
+     * The lightness range is widened to include the anchors. The ramp has
+     * at least as many colors as anchors.
+     *
+     * @param {number} [count=9] number of colors
+     * @param {Rgb[]} [anchors] anchors
+     * @param {number} [lightLb=25.0] lightness lower bound
+     * @param {number} [lightUb=97.0] lightness upper bound
+     * @param {number} [chromaUb=Number.MAX_VALUE] chroma upper bound
+     * @returns the colors
+     */
+    static sequential (
+        count = 9,
+        anchors = [Rgb.fromRGBA32(0x2166acff)],
+        lightLb = 25.0, lightUb = 97.0,
+        chromaUb = Number.MAX_VALUE) {
+
+        const n = count | 0;
+        if (n < 1) { return []; }
+        const keys = Scheme.keysInternal(anchors);
+        const lb = keys.reduce((a, k) => Math.min(a, k.lch.l), lightLb);
+        const ub = keys.reduce((a, k) => Math.max(a, k.lch.l), lightUb);
+        return Scheme.rampInternal(n, keys, lb, ub, chromaUb);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,393 @@
+'use strict';
+
+/**
+ * Converts between spectra and color. Wavelengths are in nanometers.
+ * Spectra are summed against the CIE 1931 2 degree color matching functions
+ * in Cct.CMF, from 380 to 780 nanometers at 10 nanometer steps. Reflectance
+ * curves are arrays of 41 values in [0.0, 1.0] sampled at those steps and
+ * lit by illuminant D65. Colors are upsampled to reflectance curves with
+ * Burns' least hyperbolic tangent slope squared method (2019), so that
+ * curves are smooth and convert back to the same color. Curves are mixed as
+ * paint with single constant Kubelka-Munk theory.
+ */
+class Spectral {
+    constructor () {
+        Object.freeze(this);
+    }
+
+    /**
+     * Finds the color matching functions at a wavelength by linear
+     * interpolation. Returns zero outside of [380.0, 780.0].
+     *
+     * @param {number} nm wavelength
+     * @returns the x, y and z values
+     */
+    static cmfInternal (nm) {
+        const cmf = Cct.CMF;
+        const last = cmf.length - 1;
+        const f = (nm - 380.0) * 0.1;
+        if (!(f >= 0.0 && f <= last)) { return [0.0, 0.0, 0.0]; }
+        const i = Math.min(Math.floor(f), last - 1);
+        const t = f - i;
+        const u = 1.0 - t;
+        const a = cmf[i];
+        const b = cmf[i + 1];
+        return [
+            u * a[0] + t * b[0],
+            u * a[1] + t * b[1],
+            u * a[2] + t * b[2]
+        ];
+    }
+
+    /**
+     * Mixes two gamma sRGB colors as paint, by upsampling each to a
+     * reflectance curve, mixing the curves with Kubelka-Munk theory and
+     * converting the result back. Blue and yellow mix to green. Each
+     * color's concentration is weighted by its luminance, as dark colors
+     * otherwise overwhelm light ones. Alpha is mixed linearly.
+     *
+     * @param {Rgb} o origin color
+     * @param {Rgb} d destination color
+     * @param {number} [t=0.5] factor
+     * @returns the mixed color
+     */
+    static mix (o, d, t = 0.5) {
+        const transfer = Spectral.transferInternal();
+        const ro = Spectral.rgbToReflectance(o, transfer);
+        const rd = Spectral.rgbToReflectance(d, transfer);
+        const co = (1.0 - t) * Spectral.reflectanceToXyz(ro).y;
+        const cd = t * Spectral.reflectanceToXyz(rd).y;
+        const sum = co + cd;
+        const r = Spectral.mixReflectance(
+            ro, rd, sum > 0.0 ? cd / sum : t);
+        const c = Spectral.reflectanceToRgb(r, transfer);
+        return new Rgb(c.r, c.g, c.b, (1.0 - t) * o.alpha + t * d.alpha);
+    }
+
+    /**
+     * Mixes two reflectance curves with Kubelka-Munk theory. Each curve is
+     * converted to a ratio of absorption to scattering, K / S, which mixes
+     * linearly by concentration, then converted back.
+     *
+     * @param {number[]} a origin curve
+     * @param {number[]} b destination curve
+     * @param {number} [t=0.5] factor
+     * @param {Float64Array} [out] mixed curve
+     * @returns the mixed curve
+     */
+    static mixReflectance (
+        a, b, t = 0.5, out = new Float64Array(a.length)) {
+        const u = 1.0 - t;
+        const len = Math.min(a.length, b.length, out.length);
+        for (let i = 0; i < len; ++i) {
+            const ra = Math.min(Math.max(a[i], 0.0001), 1.0);
+            const rb = Math.min(Math.max(b[i], 0.0001), 1.0);
+            const ks = u * (1.0 - ra) * (1.0 - ra) / (ra + ra)
+                + t * (1.0 - rb) * (1.0 - rb) / (rb + rb);
+            out[i] = 1.0 + ks - Math.sqrt(ks * ks + ks + ks);
+        }
+        return out;
+    }
+
+    /**
+     * Converts a reflectance curve to a gamma sRGB color, clamped. Alpha is
+     * 1.0 .
+     *
+     * @param {number[]} r reflectance curve
+     * @param {Float64Array[]} [transfer] curve to linear sRGB weights
+     * @returns the color
+     */
+    static reflectanceToRgb (r, transfer = Spectral.transferInternal()) {
+        const c = [0.0, 0.0, 0.0];
+        const len = Math.min(r.length, Cct.CMF.length);
+        for (let k = 0; k < 3; ++k) {
+            const row = transfer[k];
+            for (let i = 0; i < len; ++i) { c[k] += row[i] * r[i]; }
+        }
+        return Rgb.clamp(Rgb.sRgbLinearToGamma(
+            new Rgb(c[0], c[1], c[2], 1.0)));
+    }
+
+    /**
+     * Converts a reflectance curve to an XYZ color under D65, where a
+     * perfect white reflector has a luminance of 1.0 .
+     *
+     * @param {number[]} r reflectance curve
+     * @returns the XYZ color
+     */
+    static reflectanceToXyz (r) {
+        const w = Spectral.TO_XYZ;
+        let x = 0.0;
+        let y = 0.0;
+        let z = 0.0;
+        const len = Math.min(r.length, w[0].length);
+        for (let i = 0; i < len; ++i) {
+            x += w[0][i] * r[i];
+            y += w[1][i] * r[i];
+            z += w[2][i] * r[i];
+        }
+        return new Xyz(x, y, z, 1.0);
+    }
+
+    /**
+     * Upsamples a gamma sRGB color to the smoothest reflectance curve in
+     * (0.0, 1.0) which converts back to it. Newton's method solves for the
+     * curve, as the hyperbolic tangent of a variable, with Lagrange
+     * multipliers for the color. The color is clamped first.
+     *
+     * @param {Rgb} o gamma sRGB color
+     * @param {Float64Array[]} [transfer] curve to linear sRGB weights
+     * @param {Float64Array} [out] reflectance curve
+     * @returns the reflectance curve
+     */
+    static rgbToReflectance (
+        o, transfer = Spectral.transferInternal(),
+        out = new Float64Array(Cct.CMF.length)) {
+
+        const l = Rgb.sRgbGammaToLinear(Rgb.clamp(o));
+        const target = [l.r, l.g, l.b].map((v) =>
+            Math.min(Math.max(v, 0.0001), 0.9999));
+
+        const n = Cct.CMF.length;
+        const m = n + 3;
+        const z = new Float64Array(n);
+        const lambda = new Float64Array(3);
+        const tl = new Float64Array(n);
+        const a = new Float64Array(m * m);
+        const f = new Float64Array(m);
+        for (let iter = 0; iter < 100; ++iter) {
+            for (let i = 0; i < n; ++i) {
+                tl[i] = transfer[0][i] * lambda[0]
+                    + transfer[1][i] * lambda[1]
+                    + transfer[2][i] * lambda[2];
+            }
+
+            a.fill(0.0);
+            let err = 0.0;
+            for (let i = 0; i < n; ++i) {
+                const th = Math.tanh(z[i]);
+                const sech2 = 1.0 - th * th;
+                const d1 = 0.5 * sech2;
+                const diag = i === 0 || i === n - 1 ? 2.0 : 4.0;
+                let dz = diag * z[i];
+                if (i > 0) {
+                    dz -= 2.0 * z[i - 1];
+                    a[i * m + i - 1] = -2.0;
+                }
+                if (i < n - 1) {
+                    dz -= 2.0 * z[i + 1];
+                    a[i * m + i + 1] = -2.0;
+                }
+                f[i] = dz + d1 * tl[i];
+                a[i * m + i] = diag - sech2 * th * tl[i];
+                for (let k = 0; k < 3; ++k) {
+                    a[i * m + n + k] = d1 * transfer[k][i];
+                    a[(n + k) * m + i] = transfer[k][i] * d1;
+                }
+                err = Math.max(err, Math.abs(f[i]));
+            }
+            for (let k = 0; k < 3; ++k) {
+                let sum = 0.0;
+                for (let i = 0; i < n; ++i) {
+                    sum += transfer[k][i] * 0.5 * (Math.tanh(z[i]) + 1.0);
+                }
+                f[n + k] = sum - target[k];
+                err = Math.max(err, Math.abs(f[n + k]));
+            }
+            if (err < 1e-8) { break; }
+
+            for (let i = 0; i < m; ++i) { f[i] = -f[i]; }
+            if (!Spectral.solveInternal(a, f, m)) { break; }
+            for (let i = 0; i < n; ++i) { z[i] += f[i]; }
+            for (let k = 0; k < 3; ++k) { lambda[k] += f[n + k]; }
+        }
+
+        const len = Math.min(n, out.length);
+        for (let i = 0; i < len; ++i) {
+            out[i] = 0.5 * (Math.tanh(z[i]) + 1.0);
+        }
+        return out;
+    }
+
+    /**
+     * Solves a square linear system in place by Gaussian elimination with
+     * partial pivoting. The solution replaces the right hand side. Returns
+     * false if the matrix is singular.
+     *
+     * @param {Float64Array} a row major matrix
+     * @param {Float64Array} b right hand side
+     * @param {number} n size
+     * @returns the evaluation
+     */
+    static solveInternal (a, b, n) {
+        for (let c = 0; c < n; ++c) {
+            let p = c;
+            for (let r = c + 1; r < n; ++r) {
+                if (Math.abs(a[r * n + c]) > Math.abs(a[p * n + c])) {
+                    p = r;
+                }
+            }
+            const pivot = a[p * n + c];
+            if (Math.abs(pivot) < 1e-14) { return false; }
+            if (p !== c) {
+                for (let k = c; k < n; ++k) {
+                    const swap = a[c * n + k];
+                    a[c * n + k] = a[p * n + k];
+                    a[p * n + k] = swap;
+                }
+                const swap = b[c];
+                b[c] = b[p];
+                b[p] = swap;
+            }
+
+            for (let r = c + 1; r < n; ++r) {
+                const s = a[r * n + c] / pivot;
+                if (s === 0.0) { continue; }
+                for (let k = c; k < n; ++k) {
+                    a[r * n + k] -= s * a[c * n + k];
+                }
+                b[r] -= s * b[c];
+            }
+        }
+
+        for (let r = n - 1; r >= 0; --r) {
+            let sum = b[r];
+            for (let k = r + 1; k < n; ++k) { sum -= a[r * n + k] * b[k]; }
+            b[r] = sum / a[r * n + r];
+        }
+        return true;
+    }
+
+    /**
+     * Finds the gamma sRGB color of a spectral power distribution. The
+     * color is scaled so that its greatest channel is 1.0, then clamped.
+     *
+     * @param {number[]} spd spectral power distribution
+     * @param {number} [start=380.0] wavelength of the first sample
+     * @param {number} [step=10.0] wavelength between samples
+     * @returns the color
+     */
+    static spdToRgb (spd, start = 380.0, step = 10.0) {
+        const l = Rgb.xyzToSRgbLinear(Spectral.spdToXyz(spd, start, step));
+        const mx = Math.max(l.r, l.g, l.b);
+        const s = mx > 0.0 ? 1.0 / mx : 1.0;
+        return Rgb.clamp(Rgb.sRgbLinearToGamma(
+            new Rgb(l.r * s, l.g * s, l.b * s, 1.0)));
+    }
+
+    /**
+     * Converts a spectral power distribution to XYZ. The result is
+     * normalized so that an equal energy spectrum of 1.0 has a luminance
+     * of 1.0 .
+     *
+     * @param {number[]} spd spectral power distribution
+     * @param {number} [start=380.0] wavelength of the first sample
+     * @param {number} [step=10.0] wavelength between samples
+     * @returns the XYZ color
+     */
+    static spdToXyz (spd, start = 380.0, step = 10.0) {
+        let x = 0.0;
+        let y = 0.0;
+        let z = 0.0;
+        const len = spd.length;
+        for (let i = 0; i < len; ++i) {
+            const c = Spectral.cmfInternal(start + i * step);
+            x += spd[i] * c[0];
+            y += spd[i] * c[1];
+            z += spd[i] * c[2];
+        }
+
+        let sumY = 0.0;
+        for (const c of Cct.CMF) { sumY += c[1]; }
+        const s = step / (10.0 * sumY);
+        return new Xyz(x * s, y * s, z * s, 1.0);
+    }
+
+    /**
+     * Finds the weights which convert a reflectance curve under D65 to
+     * linear sRGB. Each row is scaled so that a perfect white reflector
+     * converts to 1.0 exactly.
+     *
+     * @returns the red, green and blue weights
+     */
+    static transferInternal () {
+        const w = Spectral.TO_XYZ;
+        const n = w[0].length;
+        const rows = [
+            new Float64Array(n),
+            new Float64Array(n),
+            new Float64Array(n)
+        ];
+        for (let i = 0; i < n; ++i) {
+            const c = Rgb.xyzToSRgbLinear(
+                new Xyz(w[0][i], w[1][i], w[2][i], 1.0));
+            rows[0][i] = c.r;
+            rows[1][i] = c.g;
+            rows[2][i] = c.b;
+        }
+
+        for (const row of rows) {
+            let sum = 0.0;
+            for (let i = 0; i < n; ++i) { sum += row[i]; }
+            for (let i = 0; i < n; ++i) { row[i] /= sum; }
+        }
+        return rows;
+    }
+
+    /**
+     * Finds the gamma sRGB color of monochromatic light. Light outside the
+     * sRGB gamut has its negative channels clipped to zero, which keeps the
+     * ends of the spectrum red and violet rather than adding white, then is
+     * scaled so that its greatest channel is 1.0 . Returns black outside of
+     * [380.0, 780.0].
+     *
+     * @param {number} nm wavelength
+     * @returns the color
+     */
+    static wavelengthToRgb (nm) {
+        const l = Rgb.xyzToSRgbLinear(Spectral.wavelengthToXyz(nm));
+        const r = Math.max(l.r, 0.0);
+        const g = Math.max(l.g, 0.0);
+        const b = Math.max(l.b, 0.0);
+        const mx = Math.max(r, g, b);
+        if (mx <= 0.0) { return Rgb.black(); }
+        return Rgb.clamp(Rgb.sRgbLinearToGamma(
+            new Rgb(r / mx, g / mx, b / mx, 1.0)));
+    }
+
+    /**
+     * Finds the XYZ color of monochromatic light of unit power.
+     *
+     * @param {number} nm wavelength
+     * @returns the XYZ color
+     */
+    static wavelengthToXyz (nm) {
+        const c = Spectral.cmfInternal(nm);
+        return new Xyz(c[0], c[1], c[2], 1.0);
+    }
+}
+
+/**
+ * Relative spectral power of CIE standard illuminant D65 from 380 to 780
+ * nanometers at 10 nanometer steps.
+ */
+Spectral.D65 = Object.freeze([
+    49.9755, 54.6482, 82.7549, 91.486, 93.4318, 86.6823, 104.865, 117.008,
+    117.812, 114.861, 115.923, 108.811, 109.354, 107.802, 104.79, 107.689,
+    104.405, 104.046, 100.0, 96.3342, 95.788, 88.6856, 90.0062, 89.5991,
+    87.6987, 83.2886, 83.6992, 80.0268, 80.2146, 82.2778, 78.2842, 69.7213,
+    71.6091, 74.349, 61.604, 69.8856, 75.087, 63.5927, 46.4182, 66.8054,
+    63.3828
+]);
+
+/**
+ * Weights which sum a reflectance curve to X, Y and Z under D65, so that a
+ * perfect white reflector has a luminance of 1.0 .
+ */
+Spectral.TO_XYZ = Object.freeze([0, 1, 2].map((k) => {
+    const cmf = Cct.CMF;
+    const spd = Spectral.D65;
+    let sumY = 0.0;
+    for (let i = 0; i < cmf.length; ++i) { sumY += spd[i] * cmf[i][1]; }
+    return Object.freeze(cmf.map((c, i) => spd[i] * c[k] / sumY));
+}));
\ No newline at end of file
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Represents colors in the CIE XYZ color space. The y axis is luminance. A
+ * reference white, such as D65 or D50, has a y of 1.0. Alpha is expected to
+ * be in [0.0, 1.0].
+ */
+class Xyz {
+    /**
+     * @param {number} [x=0.0] x
+     * @param {number} [y=0.0] luminance
+     * @param {number} [z=0.0] z
+     * @param {number} [alpha=1.0] opacity
+     */
+    constructor (x = 0.0, y = 0.0, z = 0.0, alpha = 1.0) {
+        this._x = x;
+        this._y = y;
+        this._z = z;
+        this._alpha = alpha;
+
+        Object.freeze(this);
+    }
+
+    get x () { return this._x; }
+
+    get y () { return this._y; }
+
+    get z () { return this._z; }
+
+    get alpha () { return this._alpha; }
+
+    get [Symbol.toStringTag] () {
+        return this.constructor.name;
+    }
+
+    /**
+     * @param {*} obj
+     * @returns the evaluation
+     */
+    equals (obj) {
+        if (!obj) { return false; }
+        if (this === obj) { return true; }
+        if (obj.constructor.name !== this.constructor.name) {
+            return false;
+        }
+        return Xyz.approx(this, obj);
+    }
+
+    /**
+     * @param {number} [precision=4] decimal display
+     * @returns the string
+     */
+    toString (precision = 4) {
+        if (precision >= 0 && precision < 21) {
+            return [
+                "{\"x\":", this._x.toFixed(precision),
+                ",\"y\":", this._y.toFixed(precision),
+                ",\"z\":", this._z.toFixed(precision),
+                ",\"alpha\":", this._alpha.toFixed(precision),
+                '}'
+            ].join('');
+        }
+
+        return [
+            "{\"x\":", this._x,
+            ",\"y\":", this._y,
+            ",\"z\":", this._z,
+            ",\"alpha\":", this._alpha,
+            '}'
+        ].join('');
+    }
+
+    /**
+     * Adapts a color from a source to a destination white point with a
+     * chromatic adaptation transform.
+     *
+     * @param {Xyz} o color
+     * @param {Xyz} src source white point
+     * @param {Xyz} dst destination white point
+     * @param {Mat3x3} [cone=Cat.bradford()] cone response matrix
+     * @returns the adapted color
+     */
+    static adapt (o, src, dst, cone = Cat.bradford()) {
+        if (Xyz.approx(src, dst)) {
+            return o;
+        }
+        return Cat.adapt(o, src, dst, cone);
+    }
+
+    /**
+     * Adapts a color from the D50 to the D65 white point with the Bradford
+     * transform, as in the CSS Color 4 specification.
+     *
+     * @param {Xyz} o color
+     * @returns the adapted color
+     */
+    static adaptD50ToD65 (o) {
+        return Cat.adapt(o, Xyz.d50(), Xyz.d65(), Cat.bradford());
+    }
+
+    /**
+     * Adapts a color from the D65 to the D50 white point with the Bradford
+     * transform, as in the CSS Color 4 specification.
+     *
+     * @param {Xyz} o color
+     * @returns the adapted color
+     */
+    static adaptD65ToD50 (o) {
+        return Cat.adapt(o, Xyz.d65(), Xyz.d50(), Cat.bradford());
+    }
+
+    /**
+     * @param {Xyz} o left comparisand
+     * @param {Xyz} d right comparisand
+     * @param {number} [tol=0.000001] tolerance
+     * @returns the evaluation
+     */
+    static approx (o, d, tol = 0.000001) {
+        return Math.abs(d.alpha - o.alpha) < tol
+            && Math.abs(d.z - o.z) < tol
+            && Math.abs(d.y - o.y) < tol
+            && Math.abs(d.x - o.x) < tol;
+    }
+
+    /**
+     * @param {Lab} o CIE LAB color
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @returns the XYZ color
+     */
+    static cieLabToXyz (o, illuminant = Xyz.d65()) {
+        const kappa = 24389.0 / 27.0;
+        const epsilon = 216.0 / 24389.0;
+
+        const fy = (o.l + 16.0) / 116.0;
+        const fx = o.a / 500.0 + fy;
+        const fz = fy - o.b / 200.0;
+
+        const fx3 = fx * fx * fx;
+        const fz3 = fz * fz * fz;
+
+        const xr = fx3 > epsilon ? fx3 : (116.0 * fx - 16.0) / kappa;
+        const yr = o.l > kappa * epsilon ? fy * fy * fy : o.l / kappa;
+        const zr = fz3 > epsilon ? fz3 : (116.0 * fz - 16.0) / kappa;
+
+        return new Xyz(
+            xr * illuminant.x,
+            yr * illuminant.y,
+            zr * illuminant.z,
+            o.alpha);
+    }
+
+    /**
+     * Creates a white point from its chromaticity coordinates. The
+     * luminance is 1.0 .
+     *
+     * @param {number} x x chromaticity
+     * @param {number} y y chromaticity
+     * @returns the white point
+     */
+    static fromChromaticity (x, y) {
+        return new Xyz(x / y, 1.0, (1.0 - x - y) / y, 1.0);
+    }
+
+    /**
+     * @param {Xyz} o XYZ color
+     * @param {Xyz} [illuminant=Xyz.d65()] reference white
+     * @returns the CIE LAB color
+     */
+    static xyzToCieLab (o, illuminant = Xyz.d65()) {
+        const kappa = 24389.0 / 27.0;
+        const epsilon = 216.0 / 24389.0;
+
+        const xr = o.x / illuminant.x;
+        const yr = o.y / illuminant.y;
+        const zr = o.z / illuminant.z;
+
+        const fx = xr > epsilon ? Math.cbrt(xr) : (kappa * xr + 16.0) / 116.0;
+        const fy = yr > epsilon ? Math.cbrt(yr) : (kappa * yr + 16.0) / 116.0;
+        const fz = zr > epsilon ? Math.cbrt(zr) : (kappa * zr + 16.0) / 116.0;
+
+        return new Lab(
+            116.0 * fy - 16.0,
+            500.0 * (fx - fy),
+            200.0 * (fy - fz),
+            o.alpha);
+    }
+
+    /**
+     * @returns the A white point, incandescent light
+     */
+    static a () {
+        return Xyz.fromChromaticity(0.44757, 0.40745);
+    }
+
+    /**
+     * @returns the D50 white point
+     */
+    static d50 () {
+        return Xyz.fromChromaticity(0.3457, 0.3585);
+    }
+
+    /**
+     * @returns the D55 white point
+     */
+    static d55 () {
+        return Xyz.fromChromaticity(0.33242, 0.34743);
+    }
+
+    /**
+     * @returns the D65 white point
+     */
+    static d65 () {
+        return Xyz.fromChromaticity(0.3127, 0.329);
+    }
+
+    /**
+     * @returns the D75 white point
+     */
+    static d75 () {
+        return Xyz.fromChromaticity(0.29902, 0.31485);
+    }
+
+    /**
+     * @returns the E white point, equal energy
+     */
+    static e () {
+        return new Xyz(1.0, 1.0, 1.0, 1.0);
+    }
+}
\ No newline at end of file